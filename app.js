@@ -5,8 +5,12 @@
 
 // Estado global de la aplicación
 const state = {
-    exercises: {},           // Base de datos de ejercicios
-    answers: {},            // Respuestas correctas
+    exercises: {},           // Base de datos de ejercicios (extraídos + PDFs subidos)
+    extractedCategories: [], // Categorías definidas en data/exercises.json
+    answers: {},            // Respuestas correctas (clave del archivo + cambios locales)
+    fetchedAnswers: {},     // Clave tal como viene de data/answers.json
+    customAnswers: {},      // Clave editada en la app {cat: {ejercicio: {pregunta: entrada}}}
+    keyEditMode: false,     // Panel de respuestas en modo "Editar clave"
     currentCategory: null,   // Categoría actual
     currentExercise: null,   // Ejercicio actual
     currentPage: 1,          // Página actual
@@ -15,23 +19,49 @@ const state = {
         correct: 0,
         incorrect: 0
     },
-    answeredPages: {},       // Páginas ya respondidas {exerciseName: {page: answer}}
+    answeredPages: {},       // Última corrección {exerciseName: {question: {selected, correct, status}}}
+    correctionVisible: false, // Mostrar la corrección sobre la hoja de respuestas
     // Estado de dibujo
     drawing: {
         enabled: false,
-        tool: 'pen',          // 'pen', 'highlighter', 'eraser'
+        tool: 'pen',          // 'pen', 'highlighter', 'eraser', una forma (SHAPE_TOOLS), 'select', 'text' o 'sticky'
         color: '#ef4444',
         brushSizes: {         // Grosor individual por herramienta
             pen: 4,
             highlighter: 12,
-            eraser: 20
+            eraser: 20,
+            line: 3,
+            arrow: 3,
+            circle: 3,
+            rect: 3,
+            angle: 2
         },
         isDrawing: false,
-        lastX: 0,
-        lastY: 0,
+        pointerId: null,      // Puntero que está dibujando el trazo en curso
+        pencilOnly: false,    // Solo el lápiz dibuja; los dedos desplazan y hacen zoom
+        layers: {             // Capa activa y capas visibles (ver DRAWING_LAYERS)
+            active: 'scratch',
+            visible: { notes: true, scratch: true }
+        },
         ctx: null,
         canvas: null,
-        savedDrawings: {}     // Guardar dibujos por ejercicio/página
+        savedDrawings: {},    // Dibujos guardados por `${ejercicio}_${página}` (ver normalizeDrawing)
+        pageKey: null,        // Página cuyo dibujo está cargado en `page`
+        page: null,           // Dibujo de la página actual {background, strokes, labels}
+        currentStroke: null,  // Trazo en curso {tool, color, width, layer, points, pressures?}
+        undoStack: [],        // Operaciones de la página: add | clear | move | remove (ver undoDrawing)
+        redoStack: [],
+        backgroundImage: null, // Imagen del dibujo antiguo (PNG) de la página, si lo hay
+        selectedShape: null,  // Forma seleccionada con la herramienta 'select'
+        shapeDrag: null,      // Arrastre en curso de la forma seleccionada {lastX, lastY, dx, dy}
+        rulerSnap: false,     // El trazo en curso sigue el borde de la regla
+        ruler: {              // Regla superpuesta, en coordenadas del canvas
+            visible: false,
+            x: 0,
+            y: 0,
+            angle: 0,
+            length: 0
+        }
     },
     sidebarCollapsed: false,  // Estado de la barra lateral
     stopwatch: {
@@ -39,7 +69,39 @@ const state = {
         timerId: null,
         isRunning: false
     },
-    exerciseNotes: {}      // Notas por ejercicio {exerciseName: "nota"}
+    exerciseNotes: {},     // Notas por ejercicio {exerciseName: "nota"}
+    attempts: [],          // Historial de intentos corregidos (ver recordAttempt)
+    positions: {},         // Última posición por ejercicio {nombre: {category, page, zoom, seconds, updatedAt}}
+    review: {},            // Cola de repaso {`${cat}::${ejercicio}::${pregunta}`: programación SM-2}
+    reviewSession: null,   // Repaso abierto {category, exercise, answered: [preguntas respondidas desde entonces]}
+    scoring: {
+        defaultFormula: 'third', // Fórmula para categorías sin configuración propia
+        categories: {}           // {categoría: {formula, penalty}}
+    },
+    exam: {
+        active: false,       // Simulacro en curso
+        finished: false,     // Simulacro entregado (hoja bloqueada)
+        exercises: [],       // [{category, name}] ejercicios del simulacro
+        index: 0,            // Ejercicio visible
+        limitSeconds: 0,
+        endsAt: 0,           // Marca de tiempo en la que se agota el tiempo
+        usedSeconds: 0,      // Tiempo empleado, fijado al entregar
+        warnings: [],        // Avisos en segundos restantes
+        warned: [],
+        timerId: null
+    },
+    practice: {
+        active: false,       // Práctica aleatoria en curso
+        finished: false,     // Práctica corregida (hoja bloqueada)
+        items: [],           // [{category, exercise, question, page, result}] preguntas de la sesión
+        index: 0,            // Pregunta visible
+        answers: {},         // {índice: letra}
+        results: null
+    },
+    offline: {
+        categories: {},      // {categoría: {cached, total}} imágenes guardadas por el service worker
+        downloading: null    // Categoría que se está descargando
+    }
 };
 
 // Iconos para categorías
@@ -54,26 +116,434 @@ const categoryIcons = {
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('PsicoTrain: Iniciando aplicación...');
 
-    // Inicializar barra lateral inmediatamente
+    // Abrir IndexedDB (y migrar localStorage la primera vez) antes de leer nada guardado
+    await initStorage();
+    applyDarkModePreference();
+
+    // Inicializar barra lateral
     initSidebar();
 
+    loadCustomAnswers();
     await loadData();
+    loadPDFLibrary();
     renderCategories();
+    loadScoring();
+    loadAttempts();
+    loadReview();
+    loadPositions();
     loadStats();
     loadPageAnswers();
     loadSavedDrawings();
     loadBrushSizes(); // Cargar grosores de pincel guardados
+    loadPencilOnly();
+    loadDrawingLayers();
+    renderDashboard();
+    initRouter();
+    initOfflineDownloads();
+
+    // Registrar Service Worker para modo offline y avisos de actualización
+    initServiceWorker();
+});
+
+// ==========================================
+// STORAGE (IndexedDB)
+// ==========================================
+
+const STORAGE_DB_NAME = 'psicotrain';
+const STORAGE_DB_VERSION = 2;
+const LEGACY_PREFIX = 'psicotrain_';
+
+// Marca en localStorage de que los datos ya viven en IndexedDB (guion: no entra en la migración)
+const STORAGE_MIGRATED_KEY = 'psicotrain-migrated';
+
+// Claves antiguas de localStorage que guardaban texto plano (no JSON)
+const LEGACY_RAW_KEYS = ['quick_notes_text', 'quick_notes_drawing'];
+
+// Estado del almacenamiento: IndexedDB con copia en memoria para lecturas síncronas
+const storage = {
+    db: null,
+    backend: 'indexeddb',    // 'indexeddb', 'localStorage' si el navegador no tiene IndexedDB
+                             // o 'unavailable' si falla tras migrar (no se guarda nada)
+    cache: {},               // Almacén 'kv': preferencias, estadísticas, historial, notas...
+    drawings: {},            // Almacén 'drawings': {`${ejercicio}_${página}`: datos}
+                             // Almacén 'pdfs': {id: ArrayBuffer}, se lee bajo demanda
+    quotaWarned: false
+};
+
+/**
+ * Envuelve una IDBRequest en una promesa
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Espera a que termine una transacción de IndexedDB
+ */
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Abre la base de datos creando los almacenes necesarios
+ */
+function openStorageDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('kv')) db.createObjectStore('kv');
+            if (!db.objectStoreNames.contains('drawings')) db.createObjectStore('drawings');
+            if (!db.objectStoreNames.contains('pdfs')) db.createObjectStore('pdfs');
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Otra pestaña con una versión nueva necesita actualizar la base: soltarla y pedir recargar
+            db.onversionchange = () => {
+                db.close();
+                if (storage.db === db) storage.db = null;
+                showUpdateBanner(null);
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        // Una pestaña antigua sigue abierta: la apertura continúa en cuanto se cierre
+        request.onblocked = () => {
+            showNotification('Cierra las demás pestañas de PsicoTrain para terminar de actualizar', 'warning');
+        };
+    });
+}
+
+/**
+ * Inicializa el almacenamiento: abre IndexedDB, carga todo en memoria
+ * y migra una única vez las claves psicotrain_* de localStorage
+ */
+async function initStorage() {
+    try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB no disponible');
+
+        storage.db = await openStorageDB();
+        await loadStorageCache();
+
+        if (!storage.cache.migrated_from_localstorage) {
+            await migrateLocalStorage();
+        }
+        rememberStorageMigrated();
+
+        // Pedir al navegador que no borre los datos por falta de espacio
+        if (navigator.storage?.persist) {
+            navigator.storage.persist().catch(() => { });
+        }
+    } catch (error) {
+        storage.db = null;
+
+        // Con los datos ya en IndexedDB, localStorage está vacío: usarlo escondería el
+        // progreso y repartiría lo nuevo entre dos almacenes
+        if (wasStorageMigrated()) {
+            console.error('No se pudo abrir IndexedDB:', error);
+            storage.backend = 'unavailable';
+            showNotification('No se pudieron abrir tus datos guardados. Recarga la app: hasta entonces no se guardarán los cambios', 'warning');
+            return;
+        }
+
+        console.warn('IndexedDB no disponible, usando localStorage:', error);
+        storage.backend = 'localStorage';
+        loadLegacyLocalStorage();
+    }
+}
+
+/**
+ * Recuerda fuera de IndexedDB que los datos ya se migraron (para no volver a localStorage)
+ */
+function rememberStorageMigrated() {
+    try {
+        localStorage.setItem(STORAGE_MIGRATED_KEY, storage.cache.migrated_from_localstorage);
+    } catch (e) {
+        // Sin localStorage tampoco habría a dónde volver
+    }
+}
+
+function wasStorageMigrated() {
+    try {
+        return localStorage.getItem(STORAGE_MIGRATED_KEY) !== null;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Lee los almacenes de IndexedDB a la caché en memoria
+ */
+async function loadStorageCache() {
+    const tx = storage.db.transaction(['kv', 'drawings'], 'readonly');
+    const readStore = async (name) => {
+        const store = tx.objectStore(name);
+        const [keys, values] = await Promise.all([
+            idbRequest(store.getAllKeys()),
+            idbRequest(store.getAll())
+        ]);
+        const result = {};
+        keys.forEach((key, i) => { result[key] = values[i]; });
+        return result;
+    };
+
+    storage.cache = await readStore('kv');
+    storage.drawings = await readStore('drawings');
+}
+
+/**
+ * Lee las claves psicotrain_* de localStorage con el formato nuevo
+ * ({kv, drawings}); los dibujos se separan en su propio almacén
+ */
+function readLegacyLocalStorage() {
+    const kv = {};
+    let drawings = {};
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const fullKey = localStorage.key(i);
+        if (!fullKey || !fullKey.startsWith(LEGACY_PREFIX)) continue;
+
+        const key = fullKey.slice(LEGACY_PREFIX.length);
+        const raw = localStorage.getItem(fullKey);
+
+        let value = raw;
+        if (!LEGACY_RAW_KEYS.includes(key)) {
+            try {
+                value = JSON.parse(raw);
+            } catch (e) {
+                value = raw;
+            }
+        }
+
+        if (key === 'drawings') {
+            drawings = value && typeof value === 'object' ? value : {};
+        } else {
+            kv[key] = value;
+        }
+    }
+
+    return { kv, drawings };
+}
+
+/**
+ * Copia los datos de localStorage a IndexedDB y, si todo va bien, libera localStorage
+ */
+async function migrateLocalStorage() {
+    const { kv, drawings } = readLegacyLocalStorage();
+    const legacyKeys = Object.keys(localStorage).filter(k => k.startsWith(LEGACY_PREFIX));
+
+    const tx = storage.db.transaction(['kv', 'drawings'], 'readwrite');
+    const kvStore = tx.objectStore('kv');
+    const drawingsStore = tx.objectStore('drawings');
+
+    Object.entries(kv).forEach(([key, value]) => kvStore.put(value, key));
+    Object.entries(drawings).forEach(([key, value]) => drawingsStore.put(value, key));
+    const migratedAt = new Date().toISOString();
+    kvStore.put(migratedAt, 'migrated_from_localstorage');
+
+    await idbTransactionDone(tx);
+
+    Object.assign(storage.cache, kv, { migrated_from_localstorage: migratedAt });
+    Object.assign(storage.drawings, drawings);
+
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+
+    if (legacyKeys.length > 0) {
+        console.log(`Migradas ${legacyKeys.length} claves de localStorage a IndexedDB`);
+    }
+}
+
+/**
+ * Modo de respaldo: trabaja directamente sobre localStorage
+ */
+function loadLegacyLocalStorage() {
+    try {
+        const { kv, drawings } = readLegacyLocalStorage();
+        storage.cache = kv;
+        storage.drawings = drawings;
+    } catch (e) {
+        console.warn('No se pudo leer localStorage');
+    }
+}
+
+/**
+ * Avisa (una vez) de que no queda espacio para guardar
+ */
+function handleStorageError(error, key) {
+    console.warn(`Error guardando "${key}":`, error);
+    if (!storage.quotaWarned) {
+        storage.quotaWarned = true;
+        showNotification('No se pudieron guardar los cambios: almacenamiento lleno', 'warning');
+    }
+}
+
+/**
+ * Lee un valor guardado (síncrono, desde la caché en memoria)
+ */
+function storageGet(key, fallback = null) {
+    return key in storage.cache ? storage.cache[key] : fallback;
+}
+
+/**
+ * Guarda un valor; se escribe en segundo plano
+ */
+function storageSet(key, value) {
+    storage.cache[key] = value;
+
+    if (storage.backend === 'localStorage') {
+        try {
+            const raw = LEGACY_RAW_KEYS.includes(key) ? value : JSON.stringify(value);
+            localStorage.setItem(LEGACY_PREFIX + key, raw);
+        } catch (e) {
+            handleStorageError(e, key);
+        }
+        return Promise.resolve();
+    }
+
+    if (!storage.db) return Promise.resolve();
+
+    const tx = storage.db.transaction('kv', 'readwrite');
+    tx.objectStore('kv').put(value, key);
+    return idbTransactionDone(tx).catch(e => handleStorageError(e, key));
+}
+
+/**
+ * Elimina un valor guardado
+ */
+function storageRemove(key) {
+    delete storage.cache[key];
+
+    if (storage.backend === 'localStorage') {
+        localStorage.removeItem(LEGACY_PREFIX + key);
+        return Promise.resolve();
+    }
+
+    if (!storage.db) return Promise.resolve();
+
+    const tx = storage.db.transaction('kv', 'readwrite');
+    tx.objectStore('kv').delete(key);
+    return idbTransactionDone(tx).catch(e => console.warn(`Error borrando "${key}":`, e));
+}
+
+/**
+ * Devuelve todos los dibujos guardados {clave: datos}
+ */
+function storageGetDrawings() {
+    return storage.drawings;
+}
+
+/**
+ * Guarda (o borra, si data es null) el dibujo de una página
+ */
+function storageSetDrawing(key, data) {
+    if (data === null) {
+        delete storage.drawings[key];
+    } else {
+        storage.drawings[key] = data;
+    }
+
+    if (storage.backend === 'localStorage') {
+        try {
+            localStorage.setItem(LEGACY_PREFIX + 'drawings', JSON.stringify(storage.drawings));
+        } catch (e) {
+            handleStorageError(e, 'drawings');
+        }
+        return Promise.resolve();
+    }
+
+    if (!storage.db) return Promise.resolve();
+
+    const tx = storage.db.transaction('drawings', 'readwrite');
+    const store = tx.objectStore('drawings');
+    if (data === null) {
+        store.delete(key);
+    } else {
+        store.put(data, key);
+    }
+    return idbTransactionDone(tx).catch(e => handleStorageError(e, key));
+}
+
+/**
+ * Lee el contenido de un PDF subido (ArrayBuffer) o null si no existe
+ */
+async function storageGetPDF(id) {
+    if (!storage.db) return null;
+    const tx = storage.db.transaction('pdfs', 'readonly');
+    const data = await idbRequest(tx.objectStore('pdfs').get(id));
+    return data || null;
+}
+
+/**
+ * Guarda el contenido de un PDF subido; requiere IndexedDB
+ */
+async function storageSetPDF(id, data) {
+    if (!storage.db) throw new Error('IndexedDB no disponible');
+    const tx = storage.db.transaction('pdfs', 'readwrite');
+    tx.objectStore('pdfs').put(data, id);
+    await idbTransactionDone(tx);
+}
+
+/**
+ * Elimina un PDF subido
+ */
+async function storageDeletePDF(id) {
+    if (!storage.db) return;
+    const tx = storage.db.transaction('pdfs', 'readwrite');
+    tx.objectStore('pdfs').delete(id);
+    await idbTransactionDone(tx);
+}
+
+/**
+ * Copia de todos los datos guardados {kv, drawings}
+ */
+function storageSnapshot() {
+    return {
+        kv: { ...storage.cache },
+        drawings: { ...storage.drawings }
+    };
+}
 
-    // Registrar Service Worker para modo offline
-    if ('serviceWorker' in navigator) {
-        window.addEventListener('load', () => {
-            navigator.serviceWorker.register('/sw.js')
-                .then(reg => console.log('Service Worker registrado:', reg.scope))
-                .catch(err => console.error('Error al registrar Service Worker:', err));
+/**
+ * Sustituye todos los datos guardados por los indicados en una sola transacción
+ */
+async function storageReplaceAll(kv, drawings) {
+    // La marca de migración no forma parte de los datos del usuario
+    const migrated = storage.cache.migrated_from_localstorage;
+    const nextKv = { ...kv };
+    if (migrated) nextKv.migrated_from_localstorage = migrated;
+
+    if (storage.backend === 'localStorage') {
+        Object.keys(localStorage)
+            .filter(k => k.startsWith(LEGACY_PREFIX))
+            .forEach(k => localStorage.removeItem(k));
+        Object.entries(nextKv).forEach(([key, value]) => {
+            const raw = LEGACY_RAW_KEYS.includes(key) ? value : JSON.stringify(value);
+            localStorage.setItem(LEGACY_PREFIX + key, raw);
         });
+        localStorage.setItem(LEGACY_PREFIX + 'drawings', JSON.stringify(drawings));
+    } else {
+        const tx = storage.db.transaction(['kv', 'drawings'], 'readwrite');
+        const kvStore = tx.objectStore('kv');
+        const drawingsStore = tx.objectStore('drawings');
+
+        kvStore.clear();
+        drawingsStore.clear();
+        Object.entries(nextKv).forEach(([key, value]) => kvStore.put(value, key));
+        Object.entries(drawings).forEach(([key, value]) => drawingsStore.put(value, key));
+
+        await idbTransactionDone(tx);
     }
-});
 
+    storage.cache = nextKv;
+    storage.drawings = { ...drawings };
+}
 
 /**
  * Carga los datos de ejercicios y respuestas
@@ -84,21 +554,104 @@ async function loadData() {
         const exercisesResponse = await fetch('data/exercises.json');
         if (exercisesResponse.ok) {
             state.exercises = await exercisesResponse.json();
+            state.extractedCategories = Object.keys(state.exercises);
         } else {
             console.warn('No se encontró exercises.json');
             showNotification('Ejecuta primero el script de extracción de PDFs', 'warning');
         }
 
-        // Cargar respuestas
+        // Cargar respuestas (acepta el formato antiguo por página y el nuevo por pregunta)
         const answersResponse = await fetch('data/answers.json');
         if (answersResponse.ok) {
-            state.answers = await answersResponse.json();
+            state.fetchedAnswers = normalizeAnswerKey(await answersResponse.json());
+            state.answers = mergeAnswerKeys(state.fetchedAnswers, state.customAnswers);
         }
     } catch (error) {
         console.error('Error cargando datos:', error);
     }
 }
 
+/**
+ * Convierte answers.json al formato interno por pregunta
+ *
+ * Formato actual (version 2):
+ *   { "version": 2, "categories": { cat: { ejercicio: { "1": { answers: ["A"], page: 3,
+ *     annulled: false, explanation: "..." } } } } }
+ * Formato antiguo (sin version): { cat: { ejercicio: { "<página>": "A" } } }
+ */
+function normalizeAnswerKey(raw) {
+    if (!raw || typeof raw !== 'object') return {};
+
+    if (!raw.version) {
+        console.info('answers.json en formato antiguo (una letra por página): migrando a preguntas');
+        return migrateLegacyAnswerKey(raw);
+    }
+
+    const key = {};
+    Object.entries(raw.categories || {}).forEach(([category, exercises]) => {
+        key[category] = {};
+        Object.entries(exercises || {}).forEach(([exerciseName, questions]) => {
+            key[category][exerciseName] = {};
+            Object.entries(questions || {}).forEach(([q, entry]) => {
+                const normalized = normalizeKeyEntry(entry);
+                if (normalized) key[category][exerciseName][q] = normalized;
+            });
+        });
+    });
+    return key;
+}
+
+/**
+ * Migra el formato antiguo: cada página con letra pasa a ser una pregunta
+ * numerada en orden y anclada a esa página
+ */
+function migrateLegacyAnswerKey(raw) {
+    const key = {};
+    Object.entries(raw).forEach(([category, exercises]) => {
+        key[category] = {};
+        Object.entries(exercises || {}).forEach(([exerciseName, pages]) => {
+            key[category][exerciseName] = {};
+            let questionNum = 0;
+            Object.keys(pages || {})
+                .sort((a, b) => Number(a) - Number(b))
+                .forEach(page => {
+                    const entry = normalizeKeyEntry(pages[page], Number(page));
+                    if (entry && entry.answers.length > 0) {
+                        key[category][exerciseName][++questionNum] = entry;
+                    }
+                });
+        });
+    });
+    return key;
+}
+
+/**
+ * Normaliza una entrada de la clave: acepta "A", "A/C", ["A", "C"] u objeto completo
+ */
+function normalizeKeyEntry(entry, fallbackPage = null) {
+    if (entry === null || entry === undefined) return null;
+
+    if (typeof entry === 'string' || Array.isArray(entry)) {
+        entry = { answers: entry };
+    }
+    if (typeof entry !== 'object') return null;
+
+    let answers = entry.answers ?? entry.answer ?? [];
+    if (typeof answers === 'string') answers = answers.split(/[\s,/|]+/);
+    answers = answers
+        .map(letter => String(letter).trim().toUpperCase())
+        .filter(letter => /^[A-E]$/.test(letter));
+
+    const page = Number(entry.page) || fallbackPage;
+
+    return {
+        answers: [...new Set(answers)],
+        page: page || null,
+        annulled: Boolean(entry.annulled),
+        explanation: entry.explanation ? String(entry.explanation) : ''
+    };
+}
+
 /**
  * Renderiza las categorías en el sidebar
  */
@@ -111,7 +664,7 @@ function renderCategories() {
         const button = document.createElement('button');
         button.innerHTML = `
             <span class="category-icon">${categoryIcons[category] || '📁'}</span>
-            <span>${category}</span>
+            <span>${escapeHTML(category)}</span>
         `;
         button.onclick = () => selectCategory(category);
         li.appendChild(button);
@@ -123,6 +676,9 @@ function renderCategories() {
  * Selecciona una categoría
  */
 function selectCategory(category) {
+    if (state.practice.active && !confirm('¿Abandonar la práctica aleatoria?')) return;
+    endPractice();
+
     state.currentCategory = category;
     state.currentExercise = null;
 
@@ -136,20 +692,13 @@ function selectCategory(category) {
 
     // Actualizar breadcrumb
     document.getElementById('breadcrumb').innerHTML = `
-        <strong>${categoryIcons[category]} ${category}</strong>
+        <strong>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</strong>
     `;
 
     // Mostrar lista de ejercicios
     showScreen('exerciseListScreen');
     renderExerciseList();
-}
-
-/**
- * Vuelve a la lista de ejercicios de la categoría actual
- */
-function goBackToList() {
-    stopTimer(); // Parar cronómetro si está activo
-    showScreen('exerciseListScreen');
+    syncRoute();
 }
 
 /**
@@ -166,23 +715,37 @@ function renderExerciseList() {
         card.className = 'exercise-card';
 
         // Calcular progreso
-        const answered = state.answeredPages[exercise.name] || {};
-        const answeredCount = Object.keys(answered).length;
-        const progress = exercise.total_pages > 0
-            ? Math.round((answeredCount / exercise.total_pages) * 100)
-            : 0;
+        const progress = getExerciseProgress(exercise);
+
+        const attemptCount = getExerciseAttempts(state.currentCategory, exercise.name).length;
 
         card.innerHTML = `
             <h3>
-                <span class="exercise-icon">📄</span>
-                ${exercise.name}
+                <span class="exercise-icon">${exercise.pdfId ? '📕' : '📄'}</span>
+                ${escapeHTML(exercise.name)}
             </h3>
-            <p class="pages-count">${exercise.total_pages} páginas</p>
+            <p class="pages-count">${exercise.total_pages} páginas${exercise.pdfId ? ' · PDF subido' : ''}</p>
             <div class="progress-bar">
                 <div class="progress-fill" style="width: ${progress}%"></div>
             </div>
+            <div class="exercise-card-actions">
+                <button class="btn-small history-btn" ${attemptCount ? '' : 'disabled'}>
+                    📈 Historial (${attemptCount})
+                </button>
+                ${exercise.pdfId ? '<button class="btn-small delete-pdf-btn" title="Eliminar PDF">🗑</button>' : ''}
+            </div>
         `;
 
+        card.querySelector('.history-btn').onclick = (e) => {
+            e.stopPropagation();
+            showAttemptHistory(state.currentCategory, exercise.name);
+        };
+        if (exercise.pdfId) {
+            card.querySelector('.delete-pdf-btn').onclick = (e) => {
+                e.stopPropagation();
+                deleteUploadedPDF(state.currentCategory, exercise);
+            };
+        }
         card.onclick = () => selectExercise(exercise);
         grid.appendChild(card);
     });
@@ -192,25 +755,65 @@ function renderExerciseList() {
  * Selecciona un ejercicio y muestra el visor
  */
 function selectExercise(exercise) {
+    if (state.exam.active && !confirm('¿Abandonar el simulacro? No se corregirá.')) return;
+    if (state.practice.active && !confirm('¿Abandonar la práctica aleatoria?')) return;
+    endExam();
+    endPractice();
+    savePosition();
+    state.reviewSession = null;
+
+    // Retomar la página, el zoom y el tiempo en que se dejó el ejercicio
+    const saved = state.positions[exercise.name];
+
     state.currentExercise = exercise;
-    state.currentPage = 1;
-    state.zoomLevel = 1;
+    state.currentPage = saved ? Math.min(Math.max(saved.page, 1), exercise.total_pages) : 1;
+    clearExpiredScratch(exercise.name);
+    state.zoomLevel = clampZoom(saved?.zoom || 1);
+    state.correctionVisible = false;
+    state.keyEditMode = false;
 
     // Actualizar breadcrumb
     document.getElementById('breadcrumb').innerHTML = `
-        <span>${categoryIcons[state.currentCategory]} ${state.currentCategory}</span>
+        <span>${categoryIcons[state.currentCategory] || '📁'} ${escapeHTML(state.currentCategory)}</span>
         <span> › </span>
-        <strong>${exercise.name}</strong>
+        <strong>${escapeHTML(exercise.name)}</strong>
     `;
 
     showScreen('exerciseViewerScreen');
 
-    // Reiniciar y empezar cronómetro
-    state.stopwatch.seconds = 0;
+    // Continuar el cronómetro donde se quedó (o desde cero)
+    state.stopwatch.seconds = saved?.seconds || 0;
     updateStopwatchDisplay();
     startTimer();
 
     loadPage();
+    if (saved?.seconds) {
+        showNotification(`Continúas en la página ${state.currentPage} (⏱ ${formatExamTime(saved.seconds)})`, 'info');
+    }
+}
+
+/**
+ * Muestra la imagen de la página. `size` fija el tamaño de la página cuando la imagen
+ * tiene otra resolución (páginas PDF renderizadas para esta pantalla)
+ */
+function setExerciseImage(src, size = null) {
+    const img = document.getElementById('exerciseImage');
+    img.dataset.pageWidth = size ? size.width : '';
+    img.dataset.pageHeight = size ? size.height : '';
+    img.style.width = size ? `${size.width}px` : '';
+    img.style.height = size ? `${size.height}px` : '';
+    img.src = src;
+    img.style.transform = `scale(${state.zoomLevel})`;
+}
+
+/**
+ * Tamaño de la página a la vista: el espacio de coordenadas del dibujo y del zoom
+ */
+function getPageImageSize(img = document.getElementById('exerciseImage')) {
+    return {
+        width: Number(img.dataset.pageWidth) || img.naturalWidth,
+        height: Number(img.dataset.pageHeight) || img.naturalHeight
+    };
 }
 
 /**
@@ -220,11 +823,13 @@ function loadPage() {
     const exercise = state.currentExercise;
     if (!exercise) return;
 
+    if (exercise.isPDF) {
+        showPDFPage(exercise, state.currentPage);
+    }
+
     const page = exercise.pages[state.currentPage - 1];
     if (page) {
-        const img = document.getElementById('exerciseImage');
-        img.src = page.path;
-        img.style.transform = `scale(${state.zoomLevel})`;
+        setExerciseImage(page.path);
     }
 
     // Actualizar indicador de página
@@ -234,9 +839,12 @@ function loadPage() {
     // Actualizar botones de navegación
     document.getElementById('prevPageBtn').disabled = state.currentPage <= 1;
     document.getElementById('nextPageBtn').disabled = state.currentPage >= exercise.total_pages;
+    if (isPracticeSession()) updatePracticeIndicator();
 
     // Renderizar panel de respuestas
     renderAnswersPanel();
+    syncRoute();
+    savePosition();
 }
 
 /**
@@ -249,6 +857,16 @@ function renderAnswersPanel() {
 
     const exerciseName = state.currentExercise.name;
 
+    if (state.keyEditMode) {
+        renderKeyEditor();
+        return;
+    }
+
+    if (isPracticeSession()) {
+        renderPracticePanel();
+        return;
+    }
+
     // Obtener respuestas guardadas para este ejercicio (GLOBAL, no por página)
     const savedAnswers = getExerciseAnswers(exerciseName);
 
@@ -258,9 +876,13 @@ function renderAnswersPanel() {
     let html = '';
     for (let i = 1; i <= numQuestions; i++) {
         const savedAnswer = savedAnswers[i] || null;
+        const keyEntry = getKeyEntry(state.currentCategory, exerciseName, i);
+        const pageLink = keyEntry?.page
+            ? `onclick="goToPage(${keyEntry.page})" title="Ir a la página ${keyEntry.page}"`
+            : '';
         html += `
-            <div class="question-row">
-                <span class="question-num">${i}:</span>
+            <div class="question-row" data-question="${i}">
+                <span class="question-num ${keyEntry?.page ? 'has-page' : ''}" ${pageLink}>${i}:</span>
                 <div class="question-options">
                     ${['A', 'B', 'C', 'D', 'E'].map(opt => `
                         <button class="option-btn ${savedAnswer === opt ? 'selected' : ''}" 
@@ -277,6 +899,9 @@ function renderAnswersPanel() {
 
     answersList.innerHTML = html;
     document.getElementById('questionCount').textContent = `${numQuestions} preguntas`;
+
+    updateAnswersPanelMode();
+    applyCorrectionToPanel();
 }
 
 /**
@@ -285,10 +910,26 @@ function renderAnswersPanel() {
 function selectOption(questionNum, option) {
     const exerciseName = state.currentExercise.name;
 
+    if (isPracticeSession()) {
+        selectPracticeOption(option);
+        return;
+    }
+
+    if (state.exam.finished) {
+        showNotification('Simulacro entregado: la hoja está bloqueada', 'info');
+        return;
+    }
+
     // Inicializar estructura si no existe
     if (!state.pageAnswers) state.pageAnswers = {};
     if (!state.pageAnswers[exerciseName]) state.pageAnswers[exerciseName] = {};
 
+    // Al cambiar una respuesta se oculta la corrección anterior
+    if (state.correctionVisible) {
+        state.correctionVisible = false;
+        renderAnswersPanel();
+    }
+
     // Toggle: si ya está seleccionada, deseleccionar
     const currentAnswer = state.pageAnswers[exerciseName][questionNum];
     if (currentAnswer === option) {
@@ -297,6 +938,12 @@ function selectOption(questionNum, option) {
         state.pageAnswers[exerciseName][questionNum] = option;
     }
 
+    // En un repaso solo cuentan las preguntas contestadas de nuevo
+    const session = state.reviewSession;
+    if (session && session.exercise === exerciseName && !session.answered.includes(String(questionNum))) {
+        session.answered.push(String(questionNum));
+    }
+
     // Actualizar UI
     updateOptionUI(questionNum, option, currentAnswer !== option);
 
@@ -329,27 +976,19 @@ function getExerciseAnswers(exerciseName) {
 }
 
 /**
- * Guarda las respuestas en localStorage
+ * Guarda las respuestas
  */
 function savePageAnswers() {
-    try {
-        localStorage.setItem('psicotrain_page_answers', JSON.stringify(state.pageAnswers || {}));
-    } catch (e) {
-        console.warn('Error guardando respuestas');
-    }
+    storageSet('page_answers', state.pageAnswers || {});
 }
 
 /**
- * Carga las respuestas desde localStorage
+ * Carga las respuestas guardadas
  */
 function loadPageAnswers() {
-    try {
-        const saved = localStorage.getItem('psicotrain_page_answers');
-        if (saved) {
-            state.pageAnswers = JSON.parse(saved);
-        }
-    } catch (e) {
-        console.warn('Error cargando respuestas');
+    const saved = storageGet('page_answers');
+    if (saved) {
+        state.pageAnswers = saved;
     }
 }
 
@@ -358,9 +997,11 @@ function loadPageAnswers() {
  */
 function clearPageAnswers() {
     const exerciseName = state.currentExercise?.name;
+    if (state.exam.finished) return;
 
     if (state.pageAnswers?.[exerciseName]) {
         state.pageAnswers[exerciseName] = {};
+        state.correctionVisible = false;
         savePageAnswers();
         renderAnswersPanel();
         showNotification('Respuestas limpiadas', 'info');
@@ -376,1399 +1017,5708 @@ function addMoreQuestions() {
 }
 
 /**
- * Verifica si la página ya fue respondida
+ * Obtiene la entrada de la clave para una pregunta (answers.json)
  */
-function checkPreviousAnswer() {
-    const exerciseName = state.currentExercise.name;
-    const pageKey = String(state.currentPage);
+function getKeyEntry(categoryName, exerciseName, questionNum) {
+    return state.answers[categoryName]?.[exerciseName]?.[String(questionNum)] || null;
+}
 
-    if (state.answeredPages[exerciseName] && state.answeredPages[exerciseName][pageKey]) {
-        const previousAnswer = state.answeredPages[exerciseName][pageKey];
-        const btn = document.querySelector(`.answer-btn[data-answer="${previousAnswer.selected}"]`);
-        if (btn) {
-            btn.classList.add(previousAnswer.wasCorrect ? 'correct' : 'incorrect');
-        }
-
-        // Si la respuesta fue incorrecta, mostrar la correcta
-        if (!previousAnswer.wasCorrect && previousAnswer.correct) {
-            const correctBtn = document.querySelector(`.answer-btn[data-answer="${previousAnswer.correct}"]`);
-            if (correctBtn) {
-                correctBtn.classList.add('correct');
-            }
-        }
-    }
+/**
+ * Devuelve los números de pregunta que tienen respuesta (o están anuladas) en la clave
+ */
+function getKeyedQuestions(categoryName, exerciseName) {
+    const key = state.answers[categoryName]?.[exerciseName] || {};
+    return Object.keys(key)
+        .filter(q => key[q].annulled || key[q].answers.length > 0)
+        .map(Number)
+        .sort((a, b) => a - b);
 }
 
 /**
- * Selecciona una respuesta
+ * Corrige la hoja de respuestas del ejercicio actual contra la clave
  */
-function selectAnswer(answer) {
-    const exerciseName = state.currentExercise.name;
-    const categoryName = state.currentCategory;
-    const pageKey = String(state.currentPage);
+function gradeAnswerSheet() {
+    const exercise = state.currentExercise;
+    if (!exercise) return;
+
+    if (state.exam.active) {
+        showNotification('La hoja se corrige al entregar el simulacro', 'info');
+        return;
+    }
 
-    // Verificar si ya se respondió
-    if (state.answeredPages[exerciseName] && state.answeredPages[exerciseName][pageKey]) {
-        showNotification('Ya has respondido esta pregunta', 'info');
+    if (isPracticeSession()) {
+        if (state.practice.finished) {
+            showPracticeResults();
+        } else {
+            finishPractice();
+        }
         return;
     }
 
-    // Obtener respuesta correcta
-    let correctAnswer = null;
-    if (state.answers[categoryName] &&
-        state.answers[categoryName][exerciseName] &&
-        state.answers[categoryName][exerciseName][pageKey]) {
-        correctAnswer = state.answers[categoryName][exerciseName][pageKey].toUpperCase();
+    const grading = gradeExercise(state.currentCategory, exercise.name);
+    if (!grading) {
+        showNotification('No hay clave de respuestas para este ejercicio', 'warning');
+        return;
     }
 
-    // Marcar el botón seleccionado
-    const selectedBtn = document.querySelector(`.answer-btn[data-answer="${answer}"]`);
+    const { counts, score } = grading;
+    recordAttempt(state.currentCategory, exercise.name, grading, state.stopwatch.seconds, 'practice');
 
-    // Determinar si es correcto
-    const isCorrect = correctAnswer ? (answer === correctAnswer) : null;
+    // Intento terminado: la próxima vez el cronómetro empieza de cero
+    stopTimer();
+    state.stopwatch.seconds = 0;
+    updateStopwatchDisplay();
+    savePosition();
+    state.correctionVisible = true;
+    renderAnswersPanel();
 
-    if (isCorrect === true) {
-        selectedBtn.classList.add('correct');
-        showFeedback(true, '¡Correcto! 🎉');
-        state.stats.correct++;
-    } else if (isCorrect === false) {
-        selectedBtn.classList.add('incorrect');
-        showFeedback(false, `Incorrecto. La respuesta era: ${correctAnswer}`);
-        state.stats.incorrect++;
+    showNotification(
+        `Nota ${score.score.toFixed(2)}/10: ${counts.correct} bien, ${counts.incorrect} mal, ${counts.blank} en blanco`,
+        counts.incorrect === 0 && counts.blank === 0 ? 'success' : 'info'
+    );
+}
+
+/**
+ * Corrige la hoja guardada de un ejercicio, actualiza estadísticas y
+ * devuelve { results, counts } (null si el ejercicio no tiene clave)
+ */
+function gradeExercise(categoryName, exerciseName) {
+    const keyedQuestions = getKeyedQuestions(categoryName, exerciseName);
+    if (keyedQuestions.length === 0) return null;
 
-        // Mostrar la respuesta correcta
-        const correctBtn = document.querySelector(`.answer-btn[data-answer="${correctAnswer}"]`);
-        if (correctBtn) {
-            correctBtn.classList.add('correct');
+    const savedAnswers = getExerciseAnswers(exerciseName);
+    const results = {};
+    const counts = { correct: 0, incorrect: 0, blank: 0 };
+
+    keyedQuestions.forEach(q => {
+        const selected = savedAnswers[q] || null;
+        const entry = getKeyEntry(categoryName, exerciseName, q);
+        let status = 'blank';
+        if (entry.annulled) {
+            status = 'annulled';
+        } else if (selected) {
+            status = entry.answers.includes(selected) ? 'correct' : 'incorrect';
         }
-    } else {
-        // No hay respuesta registrada
-        selectedBtn.classList.add('selected');
-        showFeedback(null, 'Sin respuesta registrada para esta página');
-    }
+        results[q] = { selected, correct: entry.answers, status };
+        if (counts[status] !== undefined) counts[status]++;
+    });
 
-    // Guardar respuesta
-    if (!state.answeredPages[exerciseName]) {
-        state.answeredPages[exerciseName] = {};
-    }
-    state.answeredPages[exerciseName][pageKey] = {
-        selected: answer,
-        correct: correctAnswer,
-        wasCorrect: isCorrect
-    };
+    // Descontar la corrección anterior de este ejercicio para no contar dos veces
+    const previous = countResults(state.answeredPages[exerciseName]);
+    state.stats.correct = Math.max(0, state.stats.correct - previous.correct) + counts.correct;
+    state.stats.incorrect = Math.max(0, state.stats.incorrect - previous.incorrect) + counts.incorrect;
 
-    // Actualizar estadísticas
+    state.answeredPages[exerciseName] = results;
     saveStats();
     updateStatsDisplay();
+    updateReviewQueue(categoryName, exerciseName, results, getReviewSessionQuestions(categoryName, exerciseName));
+
+    // Asegurar que se ven todas las preguntas de la clave
+    const lastQuestion = keyedQuestions[keyedQuestions.length - 1];
+    state.questionsPerPage = Math.max(state.questionsPerPage || 10, lastQuestion);
+
+    return { results, counts, score: computeScore(counts, categoryName) };
 }
 
 /**
- * Muestra el feedback de la respuesta
+ * Cuenta aciertos, fallos y blancos de un resultado de corrección
  */
-function showFeedback(isCorrect, message) {
-    const feedback = document.getElementById('feedback');
-    feedback.classList.remove('hidden', 'correct', 'incorrect');
-
-    if (isCorrect === true) {
-        feedback.classList.add('correct');
-        feedback.innerHTML = `<span class="feedback-icon">✅</span><span class="feedback-text">${message}</span>`;
-    } else if (isCorrect === false) {
-        feedback.classList.add('incorrect');
-        feedback.innerHTML = `<span class="feedback-icon">❌</span><span class="feedback-text">${message}</span>`;
-    } else {
-        feedback.innerHTML = `<span class="feedback-icon">ℹ️</span><span class="feedback-text">${message}</span>`;
-    }
+function countResults(results) {
+    const counts = { correct: 0, incorrect: 0, blank: 0 };
+    Object.values(results || {}).forEach(result => {
+        if (counts[result.status] !== undefined) counts[result.status]++;
+    });
+    return counts;
 }
 
 /**
- * Muestra la solución
+ * Colorea las filas de la hoja según la última corrección
  */
-function showSolution() {
-    const exerciseName = state.currentExercise.name;
-    const categoryName = state.currentCategory;
-    const pageKey = String(state.currentPage);
+function applyCorrectionToPanel() {
+    const summary = document.getElementById('gradeSummary');
+    const exerciseName = state.currentExercise?.name;
+    const results = state.answeredPages[exerciseName];
 
-    let correctAnswer = null;
-    if (state.answers[categoryName] &&
-        state.answers[categoryName][exerciseName] &&
-        state.answers[categoryName][exerciseName][pageKey]) {
-        correctAnswer = state.answers[categoryName][exerciseName][pageKey].toUpperCase();
+    if (!state.correctionVisible || !results) {
+        if (summary) summary.classList.add('hidden');
+        return;
     }
 
-    if (correctAnswer) {
-        const correctBtn = document.querySelector(`.answer-btn[data-answer="${correctAnswer}"]`);
-        if (correctBtn) {
-            correctBtn.classList.add('correct');
-        }
-        showNotification(`La respuesta correcta es: ${correctAnswer}`, 'success');
-    } else {
-        showNotification('No hay respuesta registrada para esta página', 'info');
+    Object.entries(results).forEach(([q, result]) => {
+        const row = document.querySelector(`.question-row[data-question="${q}"]`);
+        if (row) markGradedRow(row, result, getKeyEntry(state.currentCategory, exerciseName, q));
+    });
+
+    if (summary) {
+        const counts = countResults(results);
+        const annulled = Object.values(results).filter(r => r.status === 'annulled').length;
+        renderGradeSummary(counts, computeScore(counts, state.currentCategory), annulled);
     }
 }
 
 /**
- * Página anterior
+ * Marca en una fila de la hoja el resultado de su corrección
  */
-function prevPage() {
-    if (state.currentPage > 1) {
-        state.currentPage--;
-        loadPage();
+function markGradedRow(row, result, entry) {
+    row.classList.add(`graded-${result.status}`);
+
+    if (result.status === 'incorrect') {
+        const wrongBtn = row.querySelector(`.option-btn[data-option="${result.selected}"]`);
+        if (wrongBtn) wrongBtn.classList.add('incorrect');
     }
-}
 
-/**
- * Página siguiente
- */
-function nextPage() {
-    if (state.currentPage < state.currentExercise.total_pages) {
-        state.currentPage++;
-        loadPage();
+    [].concat(result.correct || []).forEach(letter => {
+        const correctBtn = row.querySelector(`.option-btn[data-option="${letter}"]`);
+        if (correctBtn) correctBtn.classList.add('correct');
+    });
+
+    // Explicación de la clave bajo las preguntas falladas o en blanco
+    if (entry?.explanation && result.status !== 'correct') {
+        const explanation = document.createElement('div');
+        explanation.className = 'question-explanation';
+        explanation.textContent = `💡 ${entry.explanation}`;
+        row.after(explanation);
     }
 }
 
 /**
- * Control de zoom - Incrementos suaves
+ * Muestra el resumen de aciertos/fallos y la nota bajo la hoja
  */
-function zoomIn() {
-    state.zoomLevel = Math.min(state.zoomLevel + 0.1, 4);
-    state.zoomLevel = Math.round(state.zoomLevel * 10) / 10; // Evitar decimales raros
-    updateZoom();
+function renderGradeSummary(counts, score, annulled = 0) {
+    const summary = document.getElementById('gradeSummary');
+    summary.innerHTML = `
+        <div class="grade-counts">
+            <span class="grade-correct">✅ ${counts.correct}</span>
+            <span class="grade-incorrect">❌ ${counts.incorrect}</span>
+            <span class="grade-blank">⬜ ${counts.blank}</span>
+            ${annulled ? `<span class="grade-blank">⊘ ${annulled}</span>` : ''}
+        </div>
+        <div class="grade-score" title="${SCORING_FORMULAS[score.formula]?.label || ''}">
+            Nota <strong>${score.score.toFixed(2)}</strong>/10
+            <small>(neto ${score.net.toFixed(2)})</small>
+        </div>
+    `;
+    summary.classList.remove('hidden');
 }
 
-function zoomOut() {
-    state.zoomLevel = Math.max(state.zoomLevel - 0.1, 0.2);
-    state.zoomLevel = Math.round(state.zoomLevel * 10) / 10;
-    updateZoom();
-}
+/**
+ * Calcula el progreso de un ejercicio a partir de su última corrección
+ */
+function getExerciseProgress(exercise) {
+    const counts = countResults(state.answeredPages[exercise.name]);
+    const total = counts.correct + counts.incorrect + counts.blank;
+    if (total === 0) return 0;
 
-function resetZoom() {
-    state.zoomLevel = 1;
-    updateZoom();
+    return Math.round(((counts.correct + counts.incorrect) / total) * 100);
 }
 
-function updateZoom() {
-    const img = document.getElementById('exerciseImage');
-    const canvas = document.getElementById('drawingCanvas');
-    const wrapper = document.getElementById('imageWrapper');
+// ==========================================
+// SCORING (PENALIZACIÓN POR FALLOS)
+// ==========================================
 
-    if (img) {
-        img.style.transform = `scale(${state.zoomLevel})`;
-        img.style.transformOrigin = 'top left';
-    }
+// Fórmulas de puntuación: cada fallo resta `penalty` aciertos, los blancos no puntúan
+const SCORING_FORMULAS = {
+    none: { label: 'Sin penalización', penalty: 0 },
+    third: { label: '−1/3 por fallo', penalty: 1 / 3 },
+    quarter: { label: '−1/4 por fallo', penalty: 1 / 4 },
+    custom: { label: 'Personalizada', penalty: null }
+};
 
-    if (canvas) {
-        canvas.style.transform = `scale(${state.zoomLevel})`;
-        canvas.style.transformOrigin = 'top left';
-    }
+/**
+ * Devuelve la fórmula y penalización aplicables a una categoría
+ */
+function getScoringRule(category) {
+    const config = state.scoring.categories[category] || {};
+    const formula = SCORING_FORMULAS[config.formula] ? config.formula : state.scoring.defaultFormula;
 
-    // Ajustar tamaño del wrapper para scroll correcto
-    if (wrapper && img.naturalWidth && img.naturalHeight) {
-        const scaledWidth = img.naturalWidth * state.zoomLevel;
-        const scaledHeight = img.naturalHeight * state.zoomLevel;
-        wrapper.style.width = scaledWidth + 'px';
-        wrapper.style.height = scaledHeight + 'px';
+    let penalty = SCORING_FORMULAS[formula].penalty;
+    if (formula === 'custom') {
+        penalty = Number(config.penalty) >= 0 ? Number(config.penalty) : 0;
     }
 
-    // Actualizar display del nivel de zoom
-    updateZoomDisplay();
+    return { formula, penalty };
 }
 
 /**
- * Actualiza el display del nivel de zoom (si existe)
+ * Calcula la nota neta sobre 10 de un resultado {correct, incorrect, blank}
  */
-function updateZoomDisplay() {
-    const zoomDisplay = document.getElementById('zoomDisplay');
-    if (zoomDisplay) {
-        zoomDisplay.textContent = `${Math.round(state.zoomLevel * 100)}%`;
-    }
-}
-
-// Zoom con rueda del ratón - Mejorado para modo dibujo y scroll con trackpad
-let zoomTimeout = null;
-let zoomAccumulator = 0;
-
-document.addEventListener('wheel', (e) => {
-    const container = document.getElementById('imageContainer');
-    const drawingCanvas = document.getElementById('drawingCanvas');
+function computeScore(counts, category) {
+    const { formula, penalty } = getScoringRule(category);
+    const total = counts.correct + counts.incorrect + counts.blank;
+    const net = counts.correct - counts.incorrect * penalty;
 
-    // Verificar si el evento es sobre el contenedor de imagen o el canvas de dibujo
-    if (container && (container.contains(e.target) || e.target === drawingCanvas)) {
-        // Solo hacer zoom si se usa Ctrl+wheel o Cmd+wheel (zoom intencional)
-        // Permitir scroll normal del trackpad cuando no se presiona Ctrl/Cmd
-        const isZoomGesture = e.ctrlKey || e.metaKey;
+    return {
+        formula,
+        penalty,
+        net,
+        total,
+        score: total > 0 ? Math.max(0, (net / total) * 10) : 0
+    };
+}
 
-        if (isZoomGesture) {
-            // Prevenir solo cuando es un gesto de zoom intencional
-            e.preventDefault();
-            e.stopPropagation();
+/**
+ * Nota sobre 10 de varios resultados [{counts, category}] con la fórmula de cada categoría
+ */
+function computeCombinedScore(items) {
+    let net = 0;
+    let total = 0;
+    items.forEach(item => {
+        const score = computeScore(item.counts, item.category);
+        net += score.net;
+        total += score.total;
+    });
+    return total > 0 ? Math.max(0, (net / total) * 10) : 0;
+}
 
-            // Acumular el delta del scroll (para trackpads que envían muchos eventos pequeños)
-            zoomAccumulator += e.deltaY;
+/**
+ * Busca la categoría a la que pertenece un ejercicio
+ */
+function findExerciseCategory(exerciseName) {
+    return Object.keys(state.exercises).find(category =>
+        state.exercises[category].some(exercise => exercise.name === exerciseName)
+    ) || null;
+}
 
-            // Solo aplicar zoom si hay suficiente acumulación o después de un delay
-            if (zoomTimeout) clearTimeout(zoomTimeout);
+/**
+ * Guarda la configuración de puntuación
+ */
+function saveScoring() {
+    storageSet('scoring', state.scoring);
+}
 
-            zoomTimeout = setTimeout(() => {
-                if (Math.abs(zoomAccumulator) > 30) { // Umbral de sensibilidad
-                    if (zoomAccumulator < 0) {
-                        zoomIn();
-                    } else {
-                        zoomOut();
-                    }
-                }
-                zoomAccumulator = 0;
-            }, 50); // 50ms de debounce
-        }
-        // Si no es un gesto de zoom (Ctrl/Cmd), permitir el scroll normal del trackpad
-        // No hacemos preventDefault(), por lo que el scroll funcionará naturalmente
+/**
+ * Carga la configuración de puntuación
+ */
+function loadScoring() {
+    const saved = storageGet('scoring');
+    if (saved) {
+        state.scoring = { ...state.scoring, ...saved };
     }
-}, { passive: false });
-
-// Soporte para pinch-to-zoom en dispositivos táctiles
-let initialPinchDistance = 0;
-let initialZoomLevel = 1;
+}
 
-document.addEventListener('touchstart', (e) => {
-    const container = document.getElementById('imageContainer');
-    if (container && container.contains(e.target) && e.touches.length === 2) {
-        e.preventDefault();
-        const touch1 = e.touches[0];
-        const touch2 = e.touches[1];
-        initialPinchDistance = Math.hypot(
-            touch2.clientX - touch1.clientX,
-            touch2.clientY - touch1.clientY
-        );
-        initialZoomLevel = state.zoomLevel;
-    }
-}, { passive: false });
+/**
+ * Abre el panel de configuración de puntuación
+ */
+function showScoringPanel() {
+    const categories = [...new Set([...Object.keys(categoryIcons), ...Object.keys(state.exercises)])];
+    const options = selected => Object.entries(SCORING_FORMULAS).map(([id, formula]) =>
+        `<option value="${id}" ${id === selected ? 'selected' : ''}>${formula.label}</option>`
+    ).join('');
+
+    document.getElementById('scoringDefault').innerHTML = options(state.scoring.defaultFormula)
+        .replace('<option value="custom"', '<option disabled value="custom"');
+
+    // La categoría llega a los manejadores por closure, no como texto dentro de un onchange
+    const list = document.getElementById('scoringCategories');
+    list.innerHTML = '';
+    categories.forEach(category => {
+        const config = state.scoring.categories[category] || {};
+        const row = document.createElement('div');
+        row.className = 'scoring-row';
+        row.innerHTML = `
+            <span>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</span>
+            <select>
+                <option value="" ${!config.formula ? 'selected' : ''}>Por defecto</option>
+                ${options(config.formula)}
+            </select>
+            <input type="number" min="0" max="1" step="0.05" value="${escapeHTML(config.penalty ?? 0.5)}"
+                class="${config.formula === 'custom' ? '' : 'hidden'}" title="Aciertos que resta cada fallo">
+        `;
+        row.querySelector('select').addEventListener('change', () => updateCategoryScoring(category, row));
+        row.querySelector('input').addEventListener('change', () => updateCategoryScoring(category, row));
+        list.appendChild(row);
+    });
 
-document.addEventListener('touchmove', (e) => {
-    const container = document.getElementById('imageContainer');
-    if (container && container.contains(e.target) && e.touches.length === 2) {
-        e.preventDefault();
-        const touch1 = e.touches[0];
-        const touch2 = e.touches[1];
-        const currentDistance = Math.hypot(
-            touch2.clientX - touch1.clientX,
-            touch2.clientY - touch1.clientY
-        );
+    document.getElementById('scoringModal').classList.remove('hidden');
+}
 
-        if (initialPinchDistance > 0) {
-            const scale = currentDistance / initialPinchDistance;
-            state.zoomLevel = Math.max(0.2, Math.min(4, initialZoomLevel * scale));
-            state.zoomLevel = Math.round(state.zoomLevel * 10) / 10;
-            updateZoom();
-        }
-    }
-}, { passive: false });
+function closeScoringPanel() {
+    document.getElementById('scoringModal').classList.add('hidden');
+}
 
 /**
- * Volver a la lista de ejercicios
+ * Cambia la fórmula por defecto
  */
-function goBackToList() {
-    state.currentExercise = null;
-    selectCategory(state.currentCategory);
+function updateDefaultScoring(formula) {
+    if (!SCORING_FORMULAS[formula] || formula === 'custom') return;
+    state.scoring.defaultFormula = formula;
+    saveScoring();
+    refreshScores();
 }
 
 /**
- * Muestra una pantalla y oculta las demás
+ * Cambia la fórmula de una categoría desde su fila del panel
  */
-function showScreen(screenId) {
-    console.log('Cerrando todas las pantallas...');
-    document.querySelectorAll('section').forEach(s => s.classList.add('hidden'));
-
-    const targetScreen = document.getElementById(screenId);
-    if (targetScreen) {
-        targetScreen.classList.remove('hidden');
-        console.log('Mostrando pantalla:', screenId);
+function updateCategoryScoring(category, row) {
+    const formula = row.querySelector('select').value;
+    const penaltyInput = row.querySelector('input');
+    penaltyInput.classList.toggle('hidden', formula !== 'custom');
 
-        // Gestionar visibilidad de la cabecera global
-        if (screenId === 'exerciseViewerScreen') {
-            document.body.classList.add('viewer-active');
-        } else {
-            document.body.classList.remove('viewer-active');
-        }
+    if (!formula) {
+        delete state.scoring.categories[category];
     } else {
-        console.error('No se encontró la pantalla:', screenId);
+        state.scoring.categories[category] = { formula };
+        if (formula === 'custom') {
+            state.scoring.categories[category].penalty = Math.max(0, parseFloat(penaltyInput.value) || 0);
+        }
     }
 
-    // Cerrar sidebar en móviles tras navegar
-    if (window.innerWidth <= 768 && !state.sidebarCollapsed) {
-        toggleSidebar();
-    }
+    saveScoring();
+    refreshScores();
 }
 
 /**
- * Actualiza la visualización de estadísticas
+ * Recalcula las notas visibles tras cambiar la configuración
  */
-function updateStatsDisplay() {
-    document.getElementById('correctCount').textContent = state.stats.correct;
-    document.getElementById('incorrectCount').textContent = state.stats.incorrect;
-
-    const total = state.stats.correct + state.stats.incorrect;
-    const accuracy = total > 0
-        ? Math.round((state.stats.correct / total) * 100)
-        : 0;
-    document.getElementById('accuracy').textContent = `${accuracy}%`;
+function refreshScores() {
+    updateStatsDisplay();
+    if (state.currentExercise) renderAnswersPanel();
 }
 
+// ==========================================
+// ATTEMPT HISTORY
+// ==========================================
+
 /**
- * Guarda las estadísticas en localStorage
+ * Guarda un intento corregido en el historial
+ * Registro: {id, exercise, category, date, duration, mode, questions, counts, score, net, formula}
  */
-function saveStats() {
-    localStorage.setItem('psicotrain_stats', JSON.stringify(state.stats));
-    localStorage.setItem('psicotrain_answered', JSON.stringify(state.answeredPages));
+function recordAttempt(categoryName, exerciseName, grading, durationSeconds, mode) {
+    const score = grading.score || computeScore(grading.counts, categoryName);
+
+    const attempt = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        exercise: exerciseName,
+        category: categoryName,
+        date: new Date().toISOString(),
+        duration: durationSeconds || 0,
+        mode,
+        questions: grading.results,
+        counts: grading.counts,
+        score: Math.round(score.score * 100) / 100,
+        net: Math.round(score.net * 100) / 100,
+        formula: score.formula
+    };
+
+    state.attempts.push(attempt);
+    saveAttempts();
+    // Una práctica solo toca preguntas sueltas: el borrador del ejercicio sigue siendo del intento en curso
+    if (mode !== 'practice') expireScratchLayer(exerciseName);
+    return attempt;
 }
 
 /**
- * Carga las estadísticas desde localStorage
+ * Intentos de un ejercicio, del más antiguo al más reciente
  */
-function loadStats() {
-    const savedStats = localStorage.getItem('psicotrain_stats');
-    if (savedStats) {
-        state.stats = JSON.parse(savedStats);
-    }
+function getExerciseAttempts(categoryName, exerciseName) {
+    return state.attempts
+        .filter(a => a.exercise === exerciseName && (!categoryName || a.category === categoryName))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
 
-    const savedAnswered = localStorage.getItem('psicotrain_answered');
-    if (savedAnswered) {
-        state.answeredPages = JSON.parse(savedAnswered);
+function saveAttempts() {
+    storageSet('attempts', state.attempts);
+}
+
+function loadAttempts() {
+    const saved = storageGet('attempts');
+    if (Array.isArray(saved)) {
+        state.attempts = saved;
     }
+}
 
-    updateStatsDisplay();
+/**
+ * Precisión (%) de un intento sobre las preguntas respondidas
+ */
+function getAttemptAccuracy(attempt) {
+    const answered = attempt.counts.correct + attempt.counts.incorrect;
+    return answered > 0 ? Math.round((attempt.counts.correct / answered) * 100) : 0;
 }
 
 /**
- * Reinicia las estadísticas
+ * Formatea la diferencia con el intento anterior (▲ / ▼)
  */
-function resetStats() {
-    if (confirm('¿Estás seguro de que quieres reiniciar todas las estadísticas?')) {
-        state.stats = { correct: 0, incorrect: 0 };
-        state.answeredPages = {};
-        saveStats();
-        updateStatsDisplay();
-        showNotification('Estadísticas reiniciadas', 'success');
+function formatDelta(delta, suffix = '', decimals = 0) {
+    if (delta === null || Math.abs(delta) < Math.pow(10, -decimals) / 2) {
+        return '<span class="delta delta-flat">=</span>';
     }
+    const sign = delta > 0 ? '▲' : '▼';
+    const cls = delta > 0 ? 'delta-up' : 'delta-down';
+    return `<span class="delta ${cls}">${sign} ${Math.abs(delta).toFixed(decimals)}${suffix}</span>`;
 }
 
 /**
- * Modo oscuro/claro
+ * Muestra el historial de intentos de un ejercicio
  */
-function toggleDarkMode() {
-    document.body.classList.toggle('light-mode');
-    const isDark = !document.body.classList.contains('light-mode');
-    localStorage.setItem('psicotrain_darkmode', isDark);
-    showNotification(isDark ? 'Modo oscuro activado' : 'Modo claro activado', 'info');
+function showAttemptHistory(categoryName, exerciseName) {
+    const attempts = getExerciseAttempts(categoryName, exerciseName);
+    const content = document.getElementById('historyContent');
+
+    document.getElementById('historyTitle').textContent = `📈 Historial · ${exerciseName}`;
+    document.getElementById('historyModal').dataset.category = categoryName || '';
+    document.getElementById('historyModal').dataset.exercise = exerciseName;
+
+    if (attempts.length === 0) {
+        content.innerHTML = '<p class="history-empty">Aún no hay intentos corregidos.</p>';
+    } else {
+        const rows = attempts.map((attempt, i) => {
+            const previous = i > 0 ? attempts[i - 1] : null;
+            const failed = Object.entries(attempt.questions || {})
+                .filter(([, r]) => r.status === 'incorrect')
+                .map(([q]) => q);
+
+            return `
+                <tr>
+                    <td>${new Date(attempt.date).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })}
+                        ${attempt.mode === 'exam' ? '<span class="history-tag">⏱</span>' : ''}
+                        ${attempt.mode === 'practice' ? '<span class="history-tag" title="Práctica aleatoria">🎲</span>' : ''}</td>
+                    <td>${formatExamTime(attempt.duration)}</td>
+                    <td>${attempt.counts.correct} / ${attempt.counts.incorrect} / ${attempt.counts.blank}</td>
+                    <td>${getAttemptAccuracy(attempt)}%
+                        ${previous ? formatDelta(getAttemptAccuracy(attempt) - getAttemptAccuracy(previous), '%') : ''}</td>
+                    <td><strong>${attempt.score.toFixed(2)}</strong>
+                        ${previous ? formatDelta(attempt.score - previous.score, '', 2) : ''}</td>
+                    <td class="history-failed">${escapeHTML(failed.join(', ')) || '—'}</td>
+                </tr>
+            `;
+        }).reverse().join('');
+
+        content.innerHTML = `
+            <table class="exam-results-table history-table">
+                <thead>
+                    <tr><th>Fecha</th><th>Tiempo</th><th>✅ / ❌ / ⬜</th><th>Precisión</th><th>Nota</th><th>Falladas</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    document.getElementById('historyModal').classList.remove('hidden');
 }
 
-// Cargar preferencia de modo
-if (localStorage.getItem('psicotrain_darkmode') === 'false') {
-    document.body.classList.add('light-mode');
+function closeAttemptHistory() {
+    document.getElementById('historyModal').classList.add('hidden');
 }
 
 /**
- * Modal de ayuda
+ * Borra el historial del ejercicio mostrado en el modal
  */
-function showHelp() {
-    document.getElementById('helpModal').classList.remove('hidden');
+function clearAttemptHistory() {
+    const modal = document.getElementById('historyModal');
+    const categoryName = modal.dataset.category || null;
+    const exerciseName = modal.dataset.exercise;
+
+    if (!confirm(`¿Borrar el historial de ${exerciseName}?`)) return;
+
+    state.attempts = state.attempts.filter(a =>
+        !(a.exercise === exerciseName && (!categoryName || a.category === categoryName))
+    );
+    saveAttempts();
+    closeAttemptHistory();
+    if (state.currentCategory && !state.currentExercise) renderExerciseList();
+    showNotification('Historial borrado', 'info');
 }
 
-function closeHelp() {
-    document.getElementById('helpModal').classList.add('hidden');
-}
+// ==========================================
+// REVIEW QUEUE (REPASO ESPACIADO, SM-2)
+// ==========================================
 
-// Cerrar modal con Escape
-document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-        closeHelp();
-    }
-    // Navegación con flechas
-    if (state.currentExercise) {
-        if (e.key === 'ArrowLeft') prevPage();
-        if (e.key === 'ArrowRight') nextPage();
-    }
-});
+// Respuesta correcta / incorrecta en la escala de calidad 0-5 de SM-2
+const REVIEW_QUALITY_CORRECT = 4;
+const REVIEW_QUALITY_INCORRECT = 1;
+// Intervalo (días) a partir del cual una pregunta acertada sale de la cola
+const REVIEW_GRADUATE_DAYS = 60;
+
+function getReviewKey(categoryName, exerciseName, questionNum) {
+    return `${categoryName}::${exerciseName}::${questionNum}`;
+}
 
 /**
- * Muestra una notificación temporal
+ * Día (AAAA-MM-DD) dentro de `days` días
  */
-function showNotification(message, type = 'info') {
-    // Crear elemento de notificación
-    const notification = document.createElement('div');
-    notification.style.cssText = `
-        position: fixed;
-        bottom: 2rem;
-        right: 2rem;
-        padding: 1rem 1.5rem;
-        background: ${type === 'success' ? 'var(--correct)' : type === 'warning' ? 'var(--accent)' : 'var(--primary)'};
-        color: white;
-        border-radius: 0.75rem;
-        font-weight: 500;
-        box-shadow: var(--shadow-lg);
-        z-index: 2000;
-        animation: slideIn 0.3s ease;
-    `;
-    notification.textContent = message;
-    document.body.appendChild(notification);
-
-    // Eliminar después de 3 segundos
-    setTimeout(() => {
-        notification.style.animation = 'slideOut 0.3s ease';
-        setTimeout(() => notification.remove(), 300);
-    }, 3000);
+function addDaysKey(days, from = new Date()) {
+    const date = new Date(from);
+    date.setDate(date.getDate() + days);
+    return toDayKey(date);
 }
 
-// Añadir estilos de animación
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideIn {
-        from { transform: translateX(100%); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-    }
-    @keyframes slideOut {
-        from { transform: translateX(0); opacity: 1; }
-        to { transform: translateX(100%); opacity: 0; }
+/**
+ * Aplica el algoritmo SM-2 a una pregunta de repaso
+ */
+function scheduleReview(item, quality) {
+    if (quality < 3) {
+        item.repetitions = 0;
+        item.interval = 1;
+        item.lapses++;
+    } else {
+        item.repetitions++;
+        if (item.repetitions === 1) {
+            item.interval = 1;
+        } else if (item.repetitions === 2) {
+            item.interval = 6;
+        } else {
+            item.interval = Math.round(item.interval * item.ease);
+        }
     }
-`;
-document.head.appendChild(style);
 
-// ============================================
-// FUNCIONES DE DIBUJO
-// ============================================
+    item.ease = Math.max(1.3, item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    item.due = addDaysKey(item.interval);
+    item.lastReviewed = toDayKey(new Date());
+    item.lastResult = quality >= 3 ? 'correct' : 'incorrect';
+}
 
 /**
- * Inicializa el canvas de dibujo
+ * Actualiza la cola de repaso con el resultado de una corrección:
+ * los fallos entran en la cola y las preguntas pendientes se reprograman.
+ * Con `onlyQuestions` (repaso) el resto de respuestas guardadas no se tienen en cuenta.
  */
-function initDrawingCanvas() {
-    const canvas = document.getElementById('drawingCanvas');
-    const img = document.getElementById('exerciseImage');
+function updateReviewQueue(categoryName, exerciseName, results, onlyQuestions = null) {
+    const today = toDayKey(new Date());
+    let changed = false;
 
-    if (!canvas || !img) return;
+    Object.entries(results).forEach(([q, result]) => {
+        if (onlyQuestions && !onlyQuestions.includes(String(q))) return;
 
-    state.drawing.canvas = canvas;
-    state.drawing.ctx = canvas.getContext('2d');
+        const key = getReviewKey(categoryName, exerciseName, q);
+        const item = state.review[key];
 
-    // Esperar a que la imagen cargue
-    img.onload = () => {
-        resizeCanvas();
-        restoreDrawing();
-    };
+        if (result.status === 'annulled') {
+            if (item) {
+                delete state.review[key];
+                changed = true;
+            }
+            return;
+        }
 
-    // Si la imagen ya está cargada
-    if (img.complete) {
-        resizeCanvas();
-        restoreDrawing();
-    }
+        if (!item) {
+            if (result.status !== 'incorrect') return;
+            const newItem = {
+                category: categoryName,
+                exercise: exerciseName,
+                question: Number(q),
+                page: getKeyEntry(categoryName, exerciseName, q)?.page || null,
+                ease: 2.5,
+                interval: 0,
+                repetitions: 0,
+                lapses: 0,
+                addedAt: new Date().toISOString()
+            };
+            scheduleReview(newItem, REVIEW_QUALITY_INCORRECT);
+            state.review[key] = newItem;
+            changed = true;
+            return;
+        }
 
-    // Event listeners para dibujar
-    canvas.addEventListener('mousedown', startDrawing);
-    canvas.addEventListener('mousemove', draw);
-    canvas.addEventListener('mouseup', stopDrawing);
-    canvas.addEventListener('mouseout', stopDrawing);
+        // Solo cuenta como repaso si tocaba hoy (corregir dos veces no adelanta la cola)
+        if (result.status === 'blank' || item.due > today || item.lastReviewed === today) return;
 
-    // Soporte táctil
-    canvas.addEventListener('touchstart', handleTouchStart);
-    canvas.addEventListener('touchmove', handleTouchMove);
-    canvas.addEventListener('touchend', stopDrawing);
+        scheduleReview(item, result.status === 'correct' ? REVIEW_QUALITY_CORRECT : REVIEW_QUALITY_INCORRECT);
+        if (item.lastResult === 'correct' && item.interval >= REVIEW_GRADUATE_DAYS) {
+            delete state.review[key];
+        }
+        changed = true;
+    });
+
+    if (changed) {
+        saveReview();
+        updateReviewBadge();
+    }
+}
+
+function saveReview() {
+    storageSet('review', state.review);
 }
 
 /**
- * Redimensiona el canvas al tamaño de la imagen
+ * Preguntas contestadas en el repaso abierto de este ejercicio (null si no se está repasando)
  */
-function resizeCanvas() {
-    const canvas = state.drawing.canvas;
-    const img = document.getElementById('exerciseImage');
-
-    if (!canvas || !img) return;
+function getReviewSessionQuestions(categoryName, exerciseName) {
+    const session = state.reviewSession;
+    if (!session || state.exam.active || session.category !== categoryName || session.exercise !== exerciseName) {
+        return null;
+    }
+    return session.answered;
+}
 
-    canvas.width = img.naturalWidth;
-    canvas.height = img.naturalHeight;
-    canvas.style.width = img.offsetWidth + 'px';
-    canvas.style.height = img.offsetHeight + 'px';
+function loadReview() {
+    const saved = storageGet('review');
+    if (saved) {
+        state.review = saved;
+    }
+    updateReviewBadge();
 }
 
 /**
- * Activa/desactiva el modo dibujo
+ * Preguntas de la cola ordenadas por fecha; las de hoy (o atrasadas) primero
  */
-function toggleDrawingMode() {
-    state.drawing.enabled = !state.drawing.enabled;
-    const canvas = document.getElementById('drawingCanvas');
-    const toggleBtn = document.getElementById('toggleDrawing');
-    const toolbar = document.getElementById('drawingToolbar');
+function getReviewItems() {
+    return Object.entries(state.review)
+        .map(([key, item]) => ({ key, ...item }))
+        .sort((a, b) => a.due.localeCompare(b.due) || b.lapses - a.lapses);
+}
 
-    if (state.drawing.enabled) {
-        canvas.classList.add('drawing-active');
-        toggleBtn.classList.add('drawing-enabled');
-        if (toolbar) {
-            toolbar.classList.remove('hidden');
-            // Hacer la barra arrastrable cuando se activa
-            makeDrawingToolbarDraggable();
-        }
+function getDueReviewItems() {
+    const today = toDayKey(new Date());
+    return getReviewItems().filter(item => item.due <= today);
+}
 
-        // Inicializar canvas si no está listo
-        if (!state.drawing.ctx) {
-            initDrawingCanvas();
-        }
+function updateReviewBadge() {
+    const badge = document.getElementById('reviewCount');
+    if (!badge) return;
+    const due = getDueReviewItems().length;
+    badge.textContent = due;
+    badge.classList.toggle('hidden', due === 0);
+}
 
-        updateCanvasCursor();
-        showNotification('Modo dibujo activado ✏️', 'success');
+function showReviewQueue() {
+    const content = document.getElementById('reviewContent');
+    const items = getReviewItems();
+    const today = toDayKey(new Date());
+
+    if (items.length === 0) {
+        content.innerHTML = '<p class="history-empty">No hay preguntas pendientes. Las preguntas que falles al corregir aparecerán aquí.</p>';
     } else {
-        canvas.classList.remove('drawing-active', 'cursor-pen', 'cursor-eraser', 'cursor-highlighter');
-        toggleBtn.classList.remove('drawing-enabled');
-        if (toolbar) toolbar.classList.add('hidden');
-        showNotification('Modo dibujo desactivado', 'info');
+        const due = items.filter(item => item.due <= today);
+        const upcoming = items.filter(item => item.due > today);
+        const renderItem = item => {
+            const el = document.createElement('div');
+            el.className = `review-item ${item.due <= today ? 'due' : ''}`;
+            el.innerHTML = `
+                <div class="review-item-info">
+                    <strong>${escapeHTML(item.exercise)} · Pregunta ${escapeHTML(item.question)}</strong>
+                    <small>${categoryIcons[item.category] || '📁'} ${escapeHTML(item.category)}${item.page ? ` · pág. ${escapeHTML(item.page)}` : ''}
+                        · ${escapeHTML(item.lapses)} ${item.lapses === 1 ? 'fallo' : 'fallos'}
+                        ${item.due > today ? ` · ${new Date(item.due + 'T00:00').toLocaleDateString('es-ES')}` : ''}</small>
+                </div>
+                <button class="btn-small">Repasar</button>
+            `;
+            el.querySelector('button').addEventListener('click', () => startReview(item.key));
+            return el;
+        };
+
+        content.innerHTML = `
+            <h3>Para hoy (${due.length})</h3>
+            ${due.length ? '<div class="review-due"></div>' : '<p class="history-empty">Nada pendiente para hoy 🎉</p>'}
+            ${upcoming.length ? `<h3>Próximos (${upcoming.length})</h3><div class="review-upcoming"></div>` : ''}
+        `;
+        content.querySelector('.review-due')?.append(...due.map(renderItem));
+        content.querySelector('.review-upcoming')?.append(...upcoming.map(renderItem));
     }
+
+    document.getElementById('reviewModal').classList.remove('hidden');
+}
+
+function closeReviewQueue() {
+    document.getElementById('reviewModal').classList.add('hidden');
 }
 
 /**
- * Establece la herramienta de dibujo
+ * Abre el ejercicio y la página de una pregunta de la cola para responderla de nuevo
  */
-function setTool(tool) {
-    state.drawing.tool = tool;
-
-    // Actualizar UI
-    document.querySelectorAll('.tool-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
+function startReview(key) {
+    const item = state.review[key];
+    if (!item) return;
+
+    const exercise = (state.exercises[item.category] || []).find(ex => ex.name === item.exercise);
+    if (!exercise) {
+        delete state.review[key];
+        saveReview();
+        updateReviewBadge();
+        showReviewQueue();
+        showNotification('El ejercicio ya no existe; se ha quitado de la cola', 'warning');
+        return;
+    }
 
-    const toolBtn = document.getElementById('tool' + tool.charAt(0).toUpperCase() + tool.slice(1));
-    if (toolBtn) {
-        toolBtn.classList.add('active');
+    if (state.exam.active) {
+        showNotification('Termina el simulacro antes de repasar', 'warning');
+        return;
     }
 
-    // Restaurar el grosor guardado de esta herramienta
-    const savedSize = state.drawing.brushSizes[tool];
-    if (savedSize !== undefined) {
-        const brushSizeInput = document.getElementById('brushSize');
-        const brushSizeValue = document.getElementById('brushSizeValue');
-        if (brushSizeInput) brushSizeInput.value = savedSize;
-        if (brushSizeValue) brushSizeValue.textContent = savedSize;
+    closeReviewQueue();
+    selectCategory(item.category);
+    selectExercise(exercise);
+
+    // Borrar la respuesta anterior para contestar la pregunta otra vez
+    const answers = state.pageAnswers?.[exercise.name];
+    if (answers) {
+        delete answers[item.question];
+        savePageAnswers();
     }
+    state.reviewSession = { category: item.category, exercise: item.exercise, answered: [] };
 
-    // Actualizar el cursor del canvas
-    updateCanvasCursor();
+    state.questionsPerPage = Math.max(state.questionsPerPage || 10, item.question);
+    const page = getKeyEntry(item.category, item.exercise, item.question)?.page || item.page || 1;
+    goToPage(Math.min(page, exercise.total_pages));
+
+    const row = document.querySelector(`#answersList .question-row[data-question="${item.question}"]`);
+    if (row) {
+        row.classList.add('review-target');
+        row.scrollIntoView({ block: 'center' });
+    }
+    showNotification(`Repaso: responde la pregunta ${item.question} y pulsa Corregir`, 'info');
 }
 
+// ==========================================
+// RESUME (CONTINUAR DONDE LO DEJASTE)
+// ==========================================
+
+// Cada cuántos segundos de cronómetro se guarda la posición
+const POSITION_SAVE_INTERVAL = 5;
+
 /**
- * Actualiza la clase del cursor en el canvas según la herramienta
+ * Solo se recuerda la posición de ejercicios normales (no simulacros ni prácticas)
  */
-function updateCanvasCursor() {
-    const canvas = document.getElementById('drawingCanvas');
-    if (!canvas) return;
+function canTrackPosition() {
+    const exercise = state.currentExercise;
+    return !!exercise &&
+        !state.exam.active && !state.exam.finished && !isPracticeSession() &&
+        (state.exercises[state.currentCategory] || []).includes(exercise);
+}
 
-    // Limpiar clases de cursores
-    canvas.classList.remove('cursor-pen', 'cursor-eraser', 'cursor-highlighter');
+/**
+ * Guarda página, zoom y tiempo del ejercicio actual
+ */
+function savePosition() {
+    if (!canTrackPosition()) return;
+
+    state.positions[state.currentExercise.name] = {
+        category: state.currentCategory,
+        page: state.currentPage,
+        zoom: state.zoomLevel,
+        seconds: state.stopwatch.seconds,
+        updatedAt: new Date().toISOString()
+    };
+    storageSet('positions', state.positions);
+}
 
-    if (state.drawing.enabled) {
-        canvas.classList.add('cursor-' + state.drawing.tool);
+function loadPositions() {
+    const saved = storageGet('positions');
+    if (saved) {
+        state.positions = saved;
     }
 }
 
 /**
- * Establece el color del pincel
+ * Último ejercicio abierto que sigue existiendo
  */
-function setColor(color) {
-    state.drawing.color = color;
+function getLastPosition() {
+    return Object.entries(state.positions)
+        .map(([name, position]) => ({
+            ...position,
+            exercise: (state.exercises[position.category] || []).find(ex => ex.name === name)
+        }))
+        .filter(position => position.exercise)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+}
 
-    // Actualizar UI
-    document.querySelectorAll('.color-btn').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.style.background === color || btn.style.backgroundColor === color) {
-            btn.classList.add('active');
-        }
-    });
+/**
+ * Abre el último ejercicio en la página, zoom y tiempo en que se dejó
+ */
+function resumeLastExercise() {
+    const last = getLastPosition();
+    if (!last) return;
+
+    selectCategory(last.category);
+    selectExercise(last.exercise);
 }
 
 /**
- * Establece el tamaño del pincel
+ * Tarjeta "Continuar" de la pantalla de inicio
  */
-function setBrushSize(size) {
-    const sizeInt = parseInt(size);
+function buildContinueCard() {
+    const last = getLastPosition();
+    if (!last) return '';
+
+    return `
+        <button class="continue-card" onclick="resumeLastExercise()">
+            <span class="continue-icon">▶</span>
+            <span class="continue-info">
+                <strong>Continuar</strong>
+                <span>${categoryIcons[last.category] || '📁'} ${escapeHTML(last.category)} › ${escapeHTML(last.exercise.name)}</span>
+                <small>Página ${Math.min(last.page, last.exercise.total_pages)} de ${last.exercise.total_pages}
+                    ${last.seconds ? ` · ⏱ ${formatExamTime(last.seconds)}` : ''}</small>
+            </span>
+        </button>
+    `;
+}
 
-    // Guardar el grosor en la herramienta actual
-    state.drawing.brushSizes[state.drawing.tool] = sizeInt;
+// Guardar la posición (y el texto pendiente de las etiquetas) al salir o pasar la app a segundo plano
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        savePosition();
+        flushLabelSave();
+    }
+});
+window.addEventListener('pagehide', () => {
+    savePosition();
+    flushLabelSave();
+});
 
-    // Actualizar indicador visual
-    const sizeValue = document.getElementById('brushSizeValue');
-    if (sizeValue) sizeValue.textContent = size;
+// ==========================================
+// PROGRESS DASHBOARD
+// ==========================================
 
-    // Guardar en localStorage
-    saveBrushSizes();
+/**
+ * Vuelve a la pantalla de inicio (panel de progreso)
+ */
+function showDashboard() {
+    if (state.exam.active && !confirm('¿Abandonar el simulacro? No se corregirá.')) return;
+    if (state.practice.active && !confirm('¿Abandonar la práctica aleatoria?')) return;
+
+    stopTimer();
+    endExam();
+    endPractice();
+    state.currentCategory = null;
+    state.currentExercise = null;
+
+    document.querySelectorAll('.categories-nav button').forEach(btn => btn.classList.remove('active'));
+    document.getElementById('breadcrumb').innerHTML = '<span>Selecciona una categoría para comenzar</span>';
+
+    showScreen('welcomeScreen');
+    syncRoute();
 }
 
 /**
- * Guarda los grosores de pincel en localStorage
+ * Clave de día local (AAAA-MM-DD) de una fecha
  */
-function saveBrushSizes() {
-    try {
-        localStorage.setItem('psicotrain_brush_sizes', JSON.stringify(state.drawing.brushSizes));
-    } catch (e) {
-        console.warn('Error guardando grosores de pincel');
-    }
+function toDayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
 /**
- * Carga los grosores de pincel desde localStorage
+ * Racha de días seguidos con práctica (cuenta si se practicó hoy o ayer)
  */
-function loadBrushSizes() {
-    try {
-        const saved = localStorage.getItem('psicotrain_brush_sizes');
-        if (saved) {
-            const sizes = JSON.parse(saved);
-            state.drawing.brushSizes = { ...state.drawing.brushSizes, ...sizes };
-        }
-    } catch (e) {
-        console.warn('Error cargando grosores de pincel');
+function computePracticeStreak(attempts) {
+    const days = new Set(attempts.map(a => toDayKey(a.date)));
+    const cursor = new Date();
+
+    if (!days.has(toDayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+
+    let streak = 0;
+    while (days.has(toDayKey(cursor))) {
+        streak++;
+        cursor.setDate(cursor.getDate() - 1);
     }
+    return streak;
 }
 
 /**
- * Inicia el dibujo
+ * Segundos medios por pregunta (solo intentos con tiempo registrado)
  */
-function startDrawing(e) {
-    if (!state.drawing.enabled) return;
-
-    state.drawing.isDrawing = true;
-    const coords = getCanvasCoords(e);
-    state.drawing.lastX = coords.x;
-    state.drawing.lastY = coords.y;
+function getAverageSecondsPerQuestion(attempts) {
+    let seconds = 0;
+    let questions = 0;
+    attempts.forEach(a => {
+        if (!a.duration) return;
+        seconds += a.duration;
+        questions += a.counts.correct + a.counts.incorrect + a.counts.blank;
+    });
+    return questions > 0 ? Math.round(seconds / questions) : null;
 }
 
 /**
- * Hace la barra de herramientas de dibujo arrastrable
+ * Ejercicios con peor nota media en sus últimos intentos
  */
-let toolbarDragInitialized = false;
+function getWeakestExercises(attempts, limit = 5) {
+    const byExercise = {};
+    attempts.forEach(a => {
+        const id = `${a.category}|${a.exercise}`;
+        if (!byExercise[id]) byExercise[id] = { category: a.category, exercise: a.exercise, attempts: [] };
+        byExercise[id].attempts.push(a);
+    });
 
-function makeDrawingToolbarDraggable() {
-    // Evitar inicializar múltiples veces
-    if (toolbarDragInitialized) return;
+    return Object.values(byExercise)
+        .map(item => {
+            const recent = item.attempts.sort((a, b) => a.date.localeCompare(b.date)).slice(-3);
+            const average = recent.reduce((sum, a) => sum + a.score, 0) / recent.length;
+            return { ...item, average, count: item.attempts.length };
+        })
+        .sort((a, b) => a.average - b.average)
+        .slice(0, limit);
+}
 
-    const toolbar = document.getElementById('drawingToolbar');
+/**
+ * Genera un gráfico de líneas SVG. series: [{label, className, points: [{x: timestamp, y: 0-100}]}]
+ */
+function buildLineChartSVG(series) {
+    const width = 300;
+    const height = 120;
+    const pad = { top: 10, right: 10, bottom: 18, left: 28 };
+    const innerW = width - pad.left - pad.right;
+    const innerH = height - pad.top - pad.bottom;
+
+    const allX = series.flatMap(s => s.points.map(p => p.x));
+    const minX = Math.min(...allX);
+    const maxX = Math.max(...allX);
+    const scaleX = x => pad.left + (maxX === minX ? innerW / 2 : ((x - minX) / (maxX - minX)) * innerW);
+    const scaleY = y => pad.top + innerH - (Math.max(0, Math.min(100, y)) / 100) * innerH;
+
+    const grid = [0, 50, 100].map(y => `
+        <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${scaleY(y)}" y2="${scaleY(y)}"></line>
+        <text class="chart-axis" x="${pad.left - 4}" y="${scaleY(y) + 3}" text-anchor="end">${y}</text>
+    `).join('');
+
+    const lines = series.map(s => {
+        const coords = s.points.map(p => `${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`);
+        const dots = s.points.map((p, i) => `
+            <circle class="${s.className}" cx="${coords[i].split(',')[0]}" cy="${coords[i].split(',')[1]}" r="2.5">
+                <title>${s.label}: ${p.label ?? p.y} · ${new Date(p.x).toLocaleDateString('es-ES')}</title>
+            </circle>
+        `).join('');
+        return `<polyline class="${s.className}" points="${coords.join(' ')}"></polyline>${dots}`;
+    }).join('');
+
+    const first = new Date(minX).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' });
+    const last = new Date(maxX).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' });
+
+    return `
+        <svg class="line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">
+            ${grid}
+            ${lines}
+            <text class="chart-axis" x="${pad.left}" y="${height - 4}">${first}</text>
+            <text class="chart-axis" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${last}</text>
+        </svg>
+    `;
+}
+
+/**
+ * Pinta el panel de progreso de la pantalla de inicio
+ */
+function renderDashboard() {
+    const container = document.getElementById('dashboardContent');
+    if (!container) return;
+
+    const attempts = [...state.attempts].sort((a, b) => a.date.localeCompare(b.date));
+
+    if (attempts.length === 0) {
+        container.innerHTML = `
+            ${buildContinueCard()}
+            <p class="dashboard-empty">Aún no hay intentos corregidos. Marca tus respuestas y pulsa
+                <strong>Corregir</strong> para empezar a ver tu evolución.</p>
+            <p class="cta-text">👈 Selecciona una categoría en el menú lateral para empezar</p>
+        `;
+        return;
+    }
+
+    const totals = attempts.reduce((acc, a) => {
+        acc.correct += a.counts.correct;
+        acc.incorrect += a.counts.incorrect;
+        return acc;
+    }, { correct: 0, incorrect: 0 });
+    const answered = totals.correct + totals.incorrect;
+    const accuracy = answered > 0 ? Math.round((totals.correct / answered) * 100) : 0;
+    const avgSeconds = getAverageSecondsPerQuestion(attempts);
+    const streak = computePracticeStreak(attempts);
+
+    const categoryCards = Object.keys(categoryIcons).map(category => {
+        const categoryAttempts = attempts.filter(a => a.category === category);
+        if (categoryAttempts.length === 0) {
+            return `
+                <div class="dashboard-card">
+                    <h3>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</h3>
+                    <p class="dashboard-empty">Sin intentos todavía</p>
+                </div>
+            `;
+        }
+
+        const chart = buildLineChartSVG([
+            {
+                label: 'Precisión',
+                className: 'series-accuracy',
+                points: categoryAttempts.map(a => ({ x: Date.parse(a.date), y: getAttemptAccuracy(a), label: `${getAttemptAccuracy(a)}%` }))
+            },
+            {
+                label: 'Nota neta',
+                className: 'series-score',
+                points: categoryAttempts.map(a => ({ x: Date.parse(a.date), y: a.score * 10, label: a.score.toFixed(2) }))
+            }
+        ]);
+        const categorySeconds = getAverageSecondsPerQuestion(categoryAttempts);
+
+        return `
+            <div class="dashboard-card">
+                <h3>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</h3>
+                ${chart}
+                <div class="chart-legend">
+                    <span class="legend-accuracy">● Precisión %</span>
+                    <span class="legend-score">● Nota ×10</span>
+                    <span>${categoryAttempts.length} intentos${categorySeconds !== null ? ` · ${categorySeconds} s/pregunta` : ''}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const weakest = getWeakestExercises(attempts).map(item => `
+        <li>
+            <span>${categoryIcons[item.category] || '📁'} ${escapeHTML(item.exercise)}</span>
+            <strong>${item.average.toFixed(2)}</strong>
+        </li>
+    `).join('');
+
+    container.innerHTML = `
+        ${buildContinueCard()}
+        <div class="dashboard-tiles">
+            <div class="dashboard-tile"><span class="tile-value">${attempts.length}</span><span class="tile-label">Intentos</span></div>
+            <div class="dashboard-tile"><span class="tile-value">${accuracy}%</span><span class="tile-label">Precisión</span></div>
+            <div class="dashboard-tile"><span class="tile-value">${avgSeconds !== null ? `${avgSeconds} s` : '—'}</span><span class="tile-label">Por pregunta</span></div>
+            <div class="dashboard-tile"><span class="tile-value">🔥 ${streak}</span><span class="tile-label">${streak === 1 ? 'Día seguido' : 'Días seguidos'}</span></div>
+        </div>
+        <div class="dashboard-grid">${categoryCards}</div>
+        <div class="dashboard-card">
+            <h3>🎯 Ejercicios a reforzar</h3>
+            <p class="dashboard-hint">Nota media de los últimos 3 intentos</p>
+            <ul class="weakest-list">${weakest}</ul>
+        </div>
+    `;
+}
+
+// ==========================================
+// ANSWER KEY EDITOR
+// ==========================================
+
+/**
+ * Combina la clave del archivo con la editada localmente.
+ * Una entrada local vacía (sin letras ni anulación) elimina la del archivo.
+ */
+function mergeAnswerKeys(base, overrides) {
+    const merged = {};
+
+    Object.entries(base || {}).forEach(([category, exercises]) => {
+        merged[category] = {};
+        Object.entries(exercises).forEach(([exerciseName, questions]) => {
+            merged[category][exerciseName] = { ...questions };
+        });
+    });
+
+    Object.entries(overrides || {}).forEach(([category, exercises]) => {
+        if (!merged[category]) merged[category] = {};
+        Object.entries(exercises).forEach(([exerciseName, questions]) => {
+            if (!merged[category][exerciseName]) merged[category][exerciseName] = {};
+            Object.entries(questions).forEach(([q, entry]) => {
+                if (entry.annulled || entry.answers.length > 0) {
+                    merged[category][exerciseName][q] = entry;
+                } else {
+                    delete merged[category][exerciseName][q];
+                }
+            });
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Carga la clave editada localmente
+ */
+function loadCustomAnswers() {
+    const saved = storageGet('custom_answers');
+    if (saved) {
+        state.customAnswers = saved;
+        state.answers = mergeAnswerKeys(state.fetchedAnswers, state.customAnswers);
+    }
+}
+
+/**
+ * Guarda la clave editada localmente
+ */
+function saveCustomAnswers() {
+    storageSet('custom_answers', state.customAnswers);
+}
+
+/**
+ * Modifica una pregunta de la clave del ejercicio actual
+ */
+function updateKeyEntry(questionNum, changes) {
+    const categoryName = state.currentCategory;
+    const exerciseName = state.currentExercise.name;
+    const current = getKeyEntry(categoryName, exerciseName, questionNum)
+        || normalizeKeyEntry({ answers: [] });
+
+    const entry = { ...current, ...changes };
+
+    // Anclar la pregunta a la página que se está viendo si aún no tiene página
+    if (!entry.page) entry.page = state.currentPage;
+
+    if (!state.customAnswers[categoryName]) state.customAnswers[categoryName] = {};
+    if (!state.customAnswers[categoryName][exerciseName]) state.customAnswers[categoryName][exerciseName] = {};
+    state.customAnswers[categoryName][exerciseName][questionNum] = entry;
+
+    state.answers = mergeAnswerKeys(state.fetchedAnswers, state.customAnswers);
+    saveCustomAnswers();
+    renderAnswersPanel();
+}
+
+/**
+ * Activa/desactiva el modo "Editar clave" del panel de respuestas
+ */
+function toggleKeyEditMode() {
+    if (!state.currentExercise) return;
+
+    if (state.exam.active || state.exam.finished) {
+        showNotification('No se puede editar la clave durante un simulacro', 'warning');
+        return;
+    }
+
+    if (isPracticeSession()) {
+        showNotification('No se puede editar la clave durante una práctica aleatoria', 'warning');
+        return;
+    }
+
+    if (!state.keyEditMode && !state.currentCategory) {
+        showNotification('Asigna una categoría al ejercicio para editar su clave', 'warning');
+        return;
+    }
+
+    state.keyEditMode = !state.keyEditMode;
+    state.correctionVisible = false;
+
+    // Mostrar al menos todas las preguntas que ya tienen clave
+    if (state.keyEditMode) {
+        const keyed = getKeyedQuestions(state.currentCategory, state.currentExercise.name);
+        const lastQuestion = keyed[keyed.length - 1] || 0;
+        state.questionsPerPage = Math.max(state.questionsPerPage || 10, lastQuestion);
+    }
+
+    renderAnswersPanel();
+    showNotification(state.keyEditMode ? 'Editando la clave de respuestas 🔑' : 'Clave guardada', 'info');
+}
+
+/**
+ * Renderiza la hoja en modo edición de clave (varias letras válidas por pregunta)
+ */
+function renderKeyEditor() {
+    const answersList = document.getElementById('answersList');
+    const categoryName = state.currentCategory;
+    const exerciseName = state.currentExercise.name;
+    const numQuestions = state.questionsPerPage || 10;
+
+    let html = '';
+    for (let i = 1; i <= numQuestions; i++) {
+        const entry = getKeyEntry(categoryName, exerciseName, i);
+        const letters = entry?.answers || [];
+        html += `
+            <div class="question-row ${entry?.annulled ? 'graded-annulled' : ''}" data-question="${i}">
+                <span class="question-num" title="${entry?.page ? `Página ${entry.page}` : ''}">${i}:</span>
+                <div class="question-options">
+                    ${['A', 'B', 'C', 'D', 'E'].map(opt => `
+                        <button class="option-btn ${letters.includes(opt) ? 'correct' : ''}"
+                                data-question="${i}"
+                                data-option="${opt}"
+                                onclick="toggleKeyLetter(${i}, '${opt}')">
+                            ${opt}
+                        </button>
+                    `).join('')}
+                </div>
+                <button class="key-row-btn ${entry?.annulled ? 'active' : ''}" onclick="toggleKeyAnnulled(${i})"
+                    title="Anular pregunta">⊘</button>
+                <button class="key-row-btn ${entry?.explanation ? 'active' : ''}" onclick="editKeyExplanation(${i})"
+                    title="${entry?.explanation ? 'Editar explicación' : 'Añadir explicación'}">💬</button>
+            </div>
+        `;
+    }
+
+    answersList.innerHTML = html;
+    document.getElementById('questionCount').textContent = `${numQuestions} preguntas`;
+    updateAnswersPanelMode();
+}
+
+/**
+ * Ajusta cabecera y acciones del panel según el modo (respuestas / clave)
+ */
+function updateAnswersPanelMode() {
+    const panel = document.getElementById('answersPanel');
+    const title = document.getElementById('answersTitle');
+    const keyBtn = document.getElementById('keyEditBtn');
+
+    if (panel) {
+        panel.classList.toggle('key-edit-mode', state.keyEditMode);
+        panel.classList.toggle('locked', state.exam.finished);
+    }
+    if (title) title.textContent = state.keyEditMode ? '🔑 Clave' : '📝 Respuestas';
+    if (keyBtn) keyBtn.classList.toggle('active', state.keyEditMode);
+
+    document.querySelectorAll('#answersPanel .sheet-only').forEach(el => {
+        el.classList.toggle('hidden', state.keyEditMode);
+    });
+    document.querySelectorAll('#answersPanel .key-only').forEach(el => {
+        el.classList.toggle('hidden', !state.keyEditMode);
+    });
+}
+
+/**
+ * Marca/desmarca una letra como válida en la clave
+ */
+function toggleKeyLetter(questionNum, option) {
+    const entry = getKeyEntry(state.currentCategory, state.currentExercise.name, questionNum);
+    const letters = new Set(entry?.answers || []);
+
+    if (letters.has(option)) {
+        letters.delete(option);
+    } else {
+        letters.add(option);
+    }
+
+    updateKeyEntry(questionNum, { answers: [...letters].sort() });
+}
+
+/**
+ * Anula/restaura una pregunta de la clave
+ */
+function toggleKeyAnnulled(questionNum) {
+    const entry = getKeyEntry(state.currentCategory, state.currentExercise.name, questionNum);
+    updateKeyEntry(questionNum, { annulled: !entry?.annulled });
+}
+
+/**
+ * Edita la explicación de una pregunta
+ */
+function editKeyExplanation(questionNum) {
+    const entry = getKeyEntry(state.currentCategory, state.currentExercise.name, questionNum);
+    const explanation = prompt(`Explicación de la pregunta ${questionNum}:`, entry?.explanation || '');
+    if (explanation === null) return;
+
+    updateKeyEntry(questionNum, { explanation: explanation.trim() });
+}
+
+/**
+ * Descarta los cambios locales de la clave del ejercicio actual
+ */
+function resetExerciseKey() {
+    const categoryName = state.currentCategory;
+    const exerciseName = state.currentExercise?.name;
+    if (!state.customAnswers[categoryName]?.[exerciseName]) {
+        showNotification('No hay cambios locales en la clave', 'info');
+        return;
+    }
+
+    if (!confirm('¿Descartar los cambios locales de la clave de este ejercicio?')) return;
+
+    delete state.customAnswers[categoryName][exerciseName];
+    state.answers = mergeAnswerKeys(state.fetchedAnswers, state.customAnswers);
+    saveCustomAnswers();
+    renderAnswersPanel();
+    showNotification('Clave restaurada desde answers.json', 'info');
+}
+
+/**
+ * Construye un answers.json (formato version 2) con la clave combinada
+ */
+function buildAnswersFile() {
+    const categories = {};
+
+    // Solo los ejercicios de exercises.json: los PDFs subidos viven en este dispositivo
+    // y su clave no pertenece al answers.json del repositorio
+    state.extractedCategories.forEach(category => {
+        categories[category] = {};
+        (state.exercises[category] || [])
+            .filter(exercise => !exercise.pdfId)
+            .forEach(exercise => {
+                categories[category][exercise.name] = {};
+            });
+    });
+
+    Object.entries(categories).forEach(([category, exercises]) => {
+        Object.keys(exercises).forEach(exerciseName => {
+            const questions = state.answers[category]?.[exerciseName] || {};
+            const out = {};
+            Object.keys(questions)
+                .sort((a, b) => Number(a) - Number(b))
+                .forEach(q => {
+                    const entry = questions[q];
+                    out[q] = { answers: entry.answers };
+                    if (entry.page) out[q].page = entry.page;
+                    if (entry.annulled) out[q].annulled = true;
+                    if (entry.explanation) out[q].explanation = entry.explanation;
+                });
+            exercises[exerciseName] = out;
+        });
+    });
+
+    return { version: 2, categories };
+}
+
+/**
+ * Descarga la clave combinada como answers.json
+ */
+function exportAnswerKey() {
+    const json = JSON.stringify(buildAnswersFile(), null, 2);
+    downloadFile(new Blob([json], { type: 'application/json' }), 'answers.json');
+    showNotification('answers.json exportado. Cópialo a la carpeta data/', 'success');
+}
+
+/**
+ * Descarga un Blob como archivo
+ */
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Salta a una página concreta del ejercicio actual
+ */
+function goToPage(pageNum) {
+    const exercise = state.currentExercise;
+    if (!exercise || pageNum < 1 || pageNum > exercise.total_pages) return;
+
+    state.currentPage = pageNum;
+    loadPage();
+}
+
+/**
+ * Página anterior
+ */
+function prevPage() {
+    if (isPracticeSession()) {
+        prevPracticeItem();
+        return;
+    }
+    if (state.currentPage > 1) {
+        state.currentPage--;
+        loadPage();
+    }
+}
+
+/**
+ * Página siguiente
+ */
+function nextPage() {
+    if (isPracticeSession()) {
+        nextPracticeItem();
+        return;
+    }
+    if (state.currentPage < state.currentExercise.total_pages) {
+        state.currentPage++;
+        loadPage();
+    }
+}
+
+// Límites del zoom: botones, pellizco y enlaces (#...?zoom=) usan los mismos
+const ZOOM_MIN = 0.2;
+const ZOOM_MAX = 4;
+
+function clampZoom(zoom) {
+    return Math.min(Math.max(zoom, ZOOM_MIN), ZOOM_MAX);
+}
+
+/**
+ * Control de zoom - Incrementos suaves
+ */
+function zoomIn() {
+    state.zoomLevel = clampZoom(state.zoomLevel + 0.1);
+    state.zoomLevel = Math.round(state.zoomLevel * 10) / 10; // Evitar decimales raros
+    updateZoom();
+}
+
+function zoomOut() {
+    state.zoomLevel = clampZoom(state.zoomLevel - 0.1);
+    state.zoomLevel = Math.round(state.zoomLevel * 10) / 10;
+    updateZoom();
+}
+
+function resetZoom() {
+    state.zoomLevel = 1;
+    updateZoom();
+}
+
+function updateZoom() {
+    const img = document.getElementById('exerciseImage');
+    const canvas = document.getElementById('drawingCanvas');
+    const wrapper = document.getElementById('imageWrapper');
+
+    if (img) {
+        img.style.transform = `scale(${state.zoomLevel})`;
+        img.style.transformOrigin = 'top left';
+    }
+
+    if (canvas) {
+        canvas.style.transform = `scale(${state.zoomLevel})`;
+        canvas.style.transformOrigin = 'top left';
+    }
+
+    // Ajustar tamaño del wrapper para scroll correcto
+    const pageSize = img ? getPageImageSize(img) : null;
+    if (wrapper && pageSize?.width && pageSize.height) {
+        const scaledWidth = pageSize.width * state.zoomLevel;
+        const scaledHeight = pageSize.height * state.zoomLevel;
+        wrapper.style.width = scaledWidth + 'px';
+        wrapper.style.height = scaledHeight + 'px';
+    }
+
+    // Actualizar display del nivel de zoom
+    updateZoomDisplay();
+    positionRuler();
+    positionPageLabels();
+    scheduleZoomRoute();
+    schedulePDFZoomRender();
+}
+
+/**
+ * Actualiza el display del nivel de zoom (si existe)
+ */
+function updateZoomDisplay() {
+    const zoomDisplay = document.getElementById('zoomDisplay');
+    if (zoomDisplay) {
+        zoomDisplay.textContent = `${Math.round(state.zoomLevel * 100)}%`;
+    }
+}
+
+// Zoom con rueda del ratón - Mejorado para modo dibujo y scroll con trackpad
+let zoomTimeout = null;
+let zoomAccumulator = 0;
+
+document.addEventListener('wheel', (e) => {
+    const container = document.getElementById('imageContainer');
+    const drawingCanvas = document.getElementById('drawingCanvas');
+
+    // Verificar si el evento es sobre el contenedor de imagen o el canvas de dibujo
+    if (container && (container.contains(e.target) || e.target === drawingCanvas)) {
+        // Solo hacer zoom si se usa Ctrl+wheel o Cmd+wheel (zoom intencional)
+        // Permitir scroll normal del trackpad cuando no se presiona Ctrl/Cmd
+        const isZoomGesture = e.ctrlKey || e.metaKey;
+
+        if (isZoomGesture) {
+            // Prevenir solo cuando es un gesto de zoom intencional
+            e.preventDefault();
+            e.stopPropagation();
+
+            // Acumular el delta del scroll (para trackpads que envían muchos eventos pequeños)
+            zoomAccumulator += e.deltaY;
+
+            // Solo aplicar zoom si hay suficiente acumulación o después de un delay
+            if (zoomTimeout) clearTimeout(zoomTimeout);
+
+            zoomTimeout = setTimeout(() => {
+                if (Math.abs(zoomAccumulator) > 30) { // Umbral de sensibilidad
+                    if (zoomAccumulator < 0) {
+                        zoomIn();
+                    } else {
+                        zoomOut();
+                    }
+                }
+                zoomAccumulator = 0;
+            }, 50); // 50ms de debounce
+        }
+        // Si no es un gesto de zoom (Ctrl/Cmd), permitir el scroll normal del trackpad
+        // No hacemos preventDefault(), por lo que el scroll funcionará naturalmente
+    }
+}, { passive: false });
+
+// Soporte para pinch-to-zoom en dispositivos táctiles
+let initialPinchDistance = 0;
+let initialZoomLevel = 1;
+
+document.addEventListener('touchstart', (e) => {
+    const container = document.getElementById('imageContainer');
+    if (container && container.contains(e.target) && e.touches.length === 2) {
+        e.preventDefault();
+        const touch1 = e.touches[0];
+        const touch2 = e.touches[1];
+        initialPinchDistance = Math.hypot(
+            touch2.clientX - touch1.clientX,
+            touch2.clientY - touch1.clientY
+        );
+        initialZoomLevel = state.zoomLevel;
+    }
+}, { passive: false });
+
+document.addEventListener('touchmove', (e) => {
+    const container = document.getElementById('imageContainer');
+    if (container && container.contains(e.target) && e.touches.length === 2) {
+        e.preventDefault();
+        const touch1 = e.touches[0];
+        const touch2 = e.touches[1];
+        const currentDistance = Math.hypot(
+            touch2.clientX - touch1.clientX,
+            touch2.clientY - touch1.clientY
+        );
+
+        if (initialPinchDistance > 0) {
+            const scale = currentDistance / initialPinchDistance;
+            state.zoomLevel = clampZoom(initialZoomLevel * scale);
+            state.zoomLevel = Math.round(state.zoomLevel * 10) / 10;
+            updateZoom();
+        }
+    }
+}, { passive: false });
+
+/**
+ * Volver a la lista de ejercicios
+ */
+function goBackToList() {
+    if (state.exam.active && !confirm('¿Abandonar el simulacro? No se corregirá.')) return;
+    if (state.practice.active && !confirm('¿Abandonar la práctica aleatoria?')) return;
+
+    stopTimer(); // Parar cronómetro si está activo
+    endExam();
+    endPractice();
+
+    // Si se llegó desde la lista, volver atrás en el historial en lugar de apilar otra entrada
+    if (history.state?.prev === buildRouteHash({ category: state.currentCategory })) {
+        history.back();
+        return;
+    }
+
+    state.currentExercise = null;
+    selectCategory(state.currentCategory);
+}
+
+/**
+ * Muestra una pantalla y oculta las demás
+ */
+function showScreen(screenId) {
+    console.log('Cerrando todas las pantallas...');
+    document.querySelectorAll('section').forEach(s => s.classList.add('hidden'));
+
+    const targetScreen = document.getElementById(screenId);
+    if (targetScreen) {
+        targetScreen.classList.remove('hidden');
+
+        if (screenId === 'welcomeScreen') renderDashboard();
+        console.log('Mostrando pantalla:', screenId);
+
+        // Gestionar visibilidad de la cabecera global
+        if (screenId === 'exerciseViewerScreen') {
+            document.body.classList.add('viewer-active');
+        } else {
+            document.body.classList.remove('viewer-active');
+        }
+    } else {
+        console.error('No se encontró la pantalla:', screenId);
+    }
+
+    // Cerrar sidebar en móviles tras navegar
+    if (window.innerWidth <= 768 && !state.sidebarCollapsed) {
+        toggleSidebar();
+    }
+}
+
+/**
+ * Actualiza la visualización de estadísticas
+ */
+function updateStatsDisplay() {
+    const correctCount = document.getElementById('correctCount');
+    const incorrectCount = document.getElementById('incorrectCount');
+    const accuracyDisplay = document.getElementById('accuracy');
+    if (!correctCount || !incorrectCount || !accuracyDisplay) return;
+
+    correctCount.textContent = state.stats.correct;
+    incorrectCount.textContent = state.stats.incorrect;
+
+    const total = state.stats.correct + state.stats.incorrect;
+    const accuracy = total > 0
+        ? Math.round((state.stats.correct / total) * 100)
+        : 0;
+    accuracyDisplay.textContent = `${accuracy}%`;
+
+    // Nota neta de las últimas correcciones, con la fórmula de cada categoría
+    const netScoreDisplay = document.getElementById('netScore');
+    if (netScoreDisplay) {
+        const graded = Object.entries(state.answeredPages).map(([exerciseName, results]) => ({
+            counts: countResults(results),
+            category: findExerciseCategory(exerciseName)
+        }));
+        netScoreDisplay.textContent = `${computeCombinedScore(graded).toFixed(2)}/10`;
+    }
+}
+
+/**
+ * Guarda las estadísticas
+ */
+function saveStats() {
+    storageSet('stats', state.stats);
+    storageSet('answered', state.answeredPages);
+}
+
+/**
+ * Carga las estadísticas guardadas
+ */
+function loadStats() {
+    const savedStats = storageGet('stats');
+    if (savedStats) {
+        state.stats = savedStats;
+    }
+
+    const savedAnswered = storageGet('answered');
+    if (savedAnswered) {
+        state.answeredPages = savedAnswered;
+    }
+
+    updateStatsDisplay();
+}
+
+/**
+ * Reinicia las estadísticas
+ */
+function resetStats() {
+    if (confirm('¿Estás seguro de que quieres reiniciar todas las estadísticas?')) {
+        state.stats = { correct: 0, incorrect: 0 };
+        state.answeredPages = {};
+        state.correctionVisible = false;
+        saveStats();
+        updateStatsDisplay();
+        if (state.currentExercise) renderAnswersPanel();
+        showNotification('Estadísticas reiniciadas', 'success');
+    }
+}
+
+/**
+ * Modo oscuro/claro
+ */
+function toggleDarkMode() {
+    document.body.classList.toggle('light-mode');
+    const isDark = !document.body.classList.contains('light-mode');
+    storageSet('darkmode', isDark);
+    rememberTheme(isDark);
+    showNotification(isDark ? 'Modo oscuro activado' : 'Modo claro activado', 'info');
+}
+
+/**
+ * Aplica la preferencia de modo guardada
+ */
+function applyDarkModePreference() {
+    const isDark = storageGet('darkmode') !== false;
+    document.body.classList.toggle('light-mode', !isDark);
+    rememberTheme(isDark);
+}
+
+/**
+ * Copia síncrona del tema en localStorage: index.html la aplica antes de pintar,
+ * sin esperar a IndexedDB (guion en la clave para que no entre en la migración)
+ */
+const THEME_CACHE_KEY = 'psicotrain-theme';
+
+function rememberTheme(isDark) {
+    try {
+        localStorage.setItem(THEME_CACHE_KEY, isDark ? 'dark' : 'light');
+    } catch (e) {
+        // Sin localStorage solo se pierde el tema temprano; IndexedDB sigue mandando
+    }
+}
+
+/**
+ * Modal de ayuda
+ */
+function showHelp() {
+    document.getElementById('helpModal').classList.remove('hidden');
+}
+
+function closeHelp() {
+    document.getElementById('helpModal').classList.add('hidden');
+}
+
+// Cerrar modal con Escape
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        closeHelp();
+        closeExamSetup();
+        closeExamResults();
+        closeAttemptHistory();
+        closeBackupPanel();
+        closeReviewQueue();
+        closePracticeSetup();
+        closePracticeResults();
+        closeOfflinePanel();
+    }
+    // Navegación con flechas
+    if (state.currentExercise) {
+        if (e.key === 'ArrowLeft') prevPage();
+        if (e.key === 'ArrowRight') nextPage();
+    }
+});
+
+/**
+ * Muestra una notificación temporal
+ */
+function showNotification(message, type = 'info') {
+    // Crear elemento de notificación
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        bottom: 2rem;
+        right: 2rem;
+        padding: 1rem 1.5rem;
+        background: ${type === 'success' ? 'var(--correct)' : type === 'warning' ? 'var(--accent)' : 'var(--primary)'};
+        color: white;
+        border-radius: 0.75rem;
+        font-weight: 500;
+        box-shadow: var(--shadow-lg);
+        z-index: 2000;
+        animation: slideIn 0.3s ease;
+    `;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    // Eliminar después de 3 segundos
+    setTimeout(() => {
+        notification.style.animation = 'slideOut 0.3s ease';
+        setTimeout(() => notification.remove(), 300);
+    }, 3000);
+}
+
+/**
+ * Escapa texto para insertarlo en plantillas innerHTML (también dentro de atributos).
+ * Nombres de PDFs, categorías y ejercicios pueden venir del usuario o de una copia importada
+ */
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+// Añadir estilos de animación
+const style = document.createElement('style');
+style.textContent = `
+    @keyframes slideIn {
+        from { transform: translateX(100%); opacity: 0; }
+        to { transform: translateX(0); opacity: 1; }
+    }
+    @keyframes slideOut {
+        from { transform: translateX(0); opacity: 1; }
+        to { transform: translateX(100%); opacity: 0; }
+    }
+`;
+document.head.appendChild(style);
+
+// ============================================
+// FUNCIONES DE DIBUJO
+// ============================================
+
+/**
+ * Inicializa el canvas de dibujo
+ */
+function initDrawingCanvas() {
+    const canvas = document.getElementById('drawingCanvas');
+    const img = document.getElementById('exerciseImage');
+
+    if (!canvas || !img) return;
+
+    state.drawing.canvas = canvas;
+    state.drawing.ctx = canvas.getContext('2d');
+
+    // Esperar a que la imagen cargue
+    img.onload = () => {
+        resizeCanvas();
+        updateZoom();
+        restoreDrawing();
+    };
+
+    // Si la imagen ya está cargada
+    if (img.complete) {
+        resizeCanvas();
+        updateZoom();
+        restoreDrawing();
+    }
+
+    // Pointer Events: ratón, dedo y Apple Pencil con el mismo código
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+
+    // En Safari el lápiz también desplaza la página si el canvas lo permite (modo solo lápiz)
+    canvas.addEventListener('touchstart', handleStylusTouchStart, { passive: false });
+}
+
+/**
+ * Redimensiona el canvas al tamaño de la imagen
+ */
+function resizeCanvas() {
+    const canvas = state.drawing.canvas;
+    const img = document.getElementById('exerciseImage');
+
+    if (!canvas || !img) return;
+
+    const pageSize = getPageImageSize(img);
+    canvas.width = pageSize.width;
+    canvas.height = pageSize.height;
+    canvas.style.width = img.offsetWidth + 'px';
+    canvas.style.height = img.offsetHeight + 'px';
+    positionRuler();
+    positionPageLabels();
+}
+
+/**
+ * Activa/desactiva el modo dibujo
+ */
+function toggleDrawingMode() {
+    state.drawing.enabled = !state.drawing.enabled;
+    const canvas = document.getElementById('drawingCanvas');
+    const toggleBtn = document.getElementById('toggleDrawing');
+    const toolbar = document.getElementById('drawingToolbar');
+
+    if (state.drawing.enabled) {
+        canvas.classList.add('drawing-active');
+        toggleBtn.classList.add('drawing-enabled');
+        if (toolbar) {
+            toolbar.classList.remove('hidden');
+            // Hacer la barra arrastrable cuando se activa
+            makeDrawingToolbarDraggable();
+        }
+
+        // Inicializar canvas si no está listo
+        if (!state.drawing.ctx) {
+            initDrawingCanvas();
+        }
+
+        updateCanvasCursor();
+        positionRuler();
+        showNotification('Modo dibujo activado ✏️', 'success');
+    } else {
+        canvas.classList.remove('drawing-active');
+        updateCanvasCursor();
+        toggleBtn.classList.remove('drawing-enabled');
+        if (toolbar) toolbar.classList.add('hidden');
+        if (state.drawing.currentStroke) cancelStroke();
+        selectShape(null);
+        positionRuler();
+        showNotification('Modo dibujo desactivado', 'info');
+    }
+}
+
+/**
+ * Establece la herramienta de dibujo
+ */
+function setTool(tool) {
+    // Un ángulo a medio dibujar o una selección no sobreviven al cambio de herramienta
+    if (state.drawing.currentStroke && !state.drawing.isDrawing) cancelStroke();
+    if (tool !== 'select') selectShape(null);
+
+    state.drawing.tool = tool;
+
+    // Actualizar UI (solo los botones de herramienta)
+    document.querySelectorAll('.tool-btn[id^="tool"]').forEach(btn => {
+        btn.classList.remove('active');
+    });
+
+    const toolBtn = document.getElementById('tool' + tool.charAt(0).toUpperCase() + tool.slice(1));
+    if (toolBtn) {
+        toolBtn.classList.add('active');
+    }
+
+    // Restaurar el grosor guardado de esta herramienta
+    const savedSize = state.drawing.brushSizes[tool];
+    if (savedSize !== undefined) {
+        const brushSizeInput = document.getElementById('brushSize');
+        const brushSizeValue = document.getElementById('brushSizeValue');
+        if (brushSizeInput) brushSizeInput.value = savedSize;
+        if (brushSizeValue) brushSizeValue.textContent = savedSize;
+    }
+
+    // Actualizar el cursor del canvas
+    updateCanvasCursor();
+}
+
+/**
+ * Actualiza la clase del cursor en el canvas según la herramienta
+ */
+function updateCanvasCursor() {
+    const canvas = document.getElementById('drawingCanvas');
+    if (!canvas) return;
+
+    // Limpiar clases de cursores
+    [...canvas.classList].filter(name => name.startsWith('cursor-'))
+        .forEach(name => canvas.classList.remove(name));
+
+    if (state.drawing.enabled) {
+        canvas.classList.add('cursor-' + state.drawing.tool);
+    }
+}
+
+/**
+ * Establece el color del pincel
+ */
+function setColor(color) {
+    state.drawing.color = color;
+
+    // Actualizar UI
+    document.querySelectorAll('.color-btn').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.style.background === color || btn.style.backgroundColor === color) {
+            btn.classList.add('active');
+        }
+    });
+}
+
+/**
+ * Establece el tamaño del pincel
+ */
+function setBrushSize(size) {
+    const sizeInt = parseInt(size);
+
+    // Guardar el grosor en la herramienta actual
+    state.drawing.brushSizes[state.drawing.tool] = sizeInt;
+
+    // Actualizar indicador visual
+    const sizeValue = document.getElementById('brushSizeValue');
+    if (sizeValue) sizeValue.textContent = size;
+
+    // Guardar
+    saveBrushSizes();
+}
+
+/**
+ * Guarda los grosores de pincel
+ */
+function saveBrushSizes() {
+    storageSet('brush_sizes', state.drawing.brushSizes);
+}
+
+/**
+ * Carga los grosores de pincel guardados
+ */
+function loadBrushSizes() {
+    const sizes = storageGet('brush_sizes');
+    if (sizes) {
+        state.drawing.brushSizes = { ...state.drawing.brushSizes, ...sizes };
+    }
+}
+
+/**
+ * Hace la barra de herramientas de dibujo arrastrable
+ */
+let toolbarDragInitialized = false;
+
+function makeDrawingToolbarDraggable() {
+    // Evitar inicializar múltiples veces
+    if (toolbarDragInitialized) return;
+
+    const toolbar = document.getElementById('drawingToolbar');
     if (!toolbar) return;
 
-    let isDragging = false;
-    let currentX;
-    let currentY;
-    let initialX;
-    let initialY;
+    let isDragging = false;
+    let currentX;
+    let currentY;
+    let initialX;
+    let initialY;
+
+    // Event listeners para mouse
+    toolbar.addEventListener('mousedown', dragStart);
+    document.addEventListener('mousemove', drag);
+    document.addEventListener('mouseup', dragEnd);
+
+    // Event listeners para touch (iPad / Apple Pencil)
+    toolbar.addEventListener('touchstart', dragStartTouch);
+    document.addEventListener('touchmove', dragTouch);
+    document.addEventListener('touchend', dragEndTouch);
+
+    function dragStart(e) {
+        // Solo permitir arrastre si no se está haciendo clic en un botón o control
+        if (e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT' ||
+            e.target.closest('button') || e.target.closest('input')) {
+            return;
+        }
+
+        initialX = e.clientX - toolbar.offsetLeft;
+        initialY = e.clientY - toolbar.offsetTop;
+        isDragging = true;
+        toolbar.style.cursor = 'grabbing';
+    }
+
+    function dragStartTouch(e) {
+        // Solo permitir arrastre si no se está tocando un botón o control
+        if (e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT' ||
+            e.target.closest('button') || e.target.closest('input')) {
+            return;
+        }
+
+        const touch = e.touches[0];
+        initialX = touch.clientX - toolbar.offsetLeft;
+        initialY = touch.clientY - toolbar.offsetTop;
+        isDragging = true;
+    }
+
+    function drag(e) {
+        if (isDragging) {
+            e.preventDefault();
+
+            currentX = e.clientX - initialX;
+            currentY = e.clientY - initialY;
+
+            // Limitar a los bordes de la ventana
+            const maxX = window.innerWidth - toolbar.offsetWidth;
+            const maxY = window.innerHeight - toolbar.offsetHeight;
+
+            currentX = Math.max(0, Math.min(currentX, maxX));
+            currentY = Math.max(0, Math.min(currentY, maxY));
+
+            toolbar.style.left = currentX + 'px';
+            toolbar.style.top = currentY + 'px';
+            toolbar.style.bottom = 'auto';
+        }
+    }
+
+    function dragTouch(e) {
+        if (isDragging) {
+            e.preventDefault();
+
+            const touch = e.touches[0];
+            currentX = touch.clientX - initialX;
+            currentY = touch.clientY - initialY;
+
+            // Limitar a los bordes de la ventana
+            const maxX = window.innerWidth - toolbar.offsetWidth;
+            const maxY = window.innerHeight - toolbar.offsetHeight;
+
+            currentX = Math.max(0, Math.min(currentX, maxX));
+            currentY = Math.max(0, Math.min(currentY, maxY));
+
+            toolbar.style.left = currentX + 'px';
+            toolbar.style.top = currentY + 'px';
+            toolbar.style.bottom = 'auto';
+        }
+    }
+
+    function dragEnd() {
+        if (isDragging) {
+            isDragging = false;
+            toolbar.style.cursor = 'move';
+        }
+    }
+
+    function dragEndTouch() {
+        if (isDragging) {
+            isDragging = false;
+        }
+    }
+
+    // Cambiar cursor para indicar que se puede arrastrar
+    toolbar.style.cursor = 'move';
+    toolbarDragInitialized = true;
+}
+
+
+/**
+ * Empieza un trazo con el puntero (ratón, dedo o lápiz)
+ */
+function handlePointerDown(e) {
+    if (!state.drawing.enabled) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    if (e.pointerType === 'touch') {
+        // Solo lápiz: los dedos desplazan y hacen zoom (rechazo de la palma)
+        if (state.drawing.pencilOnly) return;
+
+        // Un segundo dedo es un gesto de zoom: descartar el trazo del primero
+        if (state.drawing.isDrawing) {
+            cancelStroke();
+            return;
+        }
+    }
+
+    if (state.drawing.isDrawing) return;
+
+    e.preventDefault();
+    const coords = getCanvasCoords(e);
+    if (state.drawing.tool === 'text' || state.drawing.tool === 'sticky') {
+        addPageLabel(state.drawing.tool, coords);
+        return;
+    }
+
+    state.drawing.pointerId = e.pointerId;
+    state.drawing.canvas.setPointerCapture?.(e.pointerId);
+
+    if (state.drawing.tool === 'select') {
+        beginShapeDrag(coords);
+    } else {
+        // Dibujar en una capa oculta la vuelve a mostrar
+        if (!state.drawing.layers.visible[state.drawing.layers.active]) {
+            toggleLayerVisibility(state.drawing.layers.active);
+        }
+
+        if (isShapeTool(state.drawing.tool)) {
+            beginShape(coords, e.shiftKey);
+        } else {
+            beginStroke(coords, getPointerPressure(e));
+        }
+    }
+}
+
+/**
+ * Continúa el trazo con todos los puntos intermedios que haya registrado el navegador
+ */
+function handlePointerMove(e) {
+    if (!state.drawing.isDrawing || e.pointerId !== state.drawing.pointerId) return;
+
+    e.preventDefault();
+    if (state.drawing.shapeDrag) {
+        moveShapeDrag(getCanvasCoords(e));
+        return;
+    }
+    if (isShapeTool(state.drawing.currentStroke?.tool)) {
+        updateShape(getCanvasCoords(e), e.shiftKey);
+        return;
+    }
+
+    const coalesced = e.getCoalescedEvents?.() || [];
+    (coalesced.length > 0 ? coalesced : [e]).forEach(event => {
+        extendStroke(getCanvasCoords(event), getPointerPressure(event));
+    });
+}
+
+/**
+ * Termina el trazo del puntero que dibuja
+ */
+function handlePointerUp(e) {
+    if (e.pointerId !== state.drawing.pointerId) return;
+
+    state.drawing.pointerId = null;
+    stopDrawing();
+}
+
+/**
+ * Impide que el Apple Pencil desplace la página cuando el canvas deja pasar los gestos
+ */
+function handleStylusTouchStart(e) {
+    if (!state.drawing.enabled) return;
+
+    const touch = e.changedTouches[0];
+    if (touch?.touchType === 'stylus') e.preventDefault();
+}
+
+/**
+ * Presión del lápiz (0-1), o null si el puntero no la mide
+ */
+function getPointerPressure(e) {
+    return e.pointerType === 'pen' && e.pressure > 0 ? e.pressure : null;
+}
+
+/**
+ * Detiene el dibujo y guarda
+ */
+function stopDrawing() {
+    if (state.drawing.isDrawing) {
+        state.drawing.isDrawing = false;
+        if (state.drawing.shapeDrag) {
+            endShapeDrag();
+        } else {
+            commitStroke();
+        }
+    }
+}
+
+/**
+ * Activa/desactiva el modo solo lápiz
+ */
+function togglePencilOnly() {
+    state.drawing.pencilOnly = !state.drawing.pencilOnly;
+    storageSet('pencil_only', state.drawing.pencilOnly);
+    updatePencilOnlyUI();
+
+    showNotification(state.drawing.pencilOnly
+        ? 'Solo lápiz: los dedos desplazan y hacen zoom ✍️'
+        : 'Los dedos también dibujan', 'info');
+}
+
+/**
+ * Refleja el modo solo lápiz en el botón y en los gestos que admite el canvas
+ */
+function updatePencilOnlyUI() {
+    const btn = document.getElementById('pencilOnlyBtn');
+    if (btn) btn.classList.toggle('active', state.drawing.pencilOnly);
+
+    const canvas = document.getElementById('drawingCanvas');
+    if (canvas) canvas.classList.toggle('pencil-only', state.drawing.pencilOnly);
+}
+
+/**
+ * Carga la preferencia de solo lápiz
+ */
+function loadPencilOnly() {
+    state.drawing.pencilOnly = storageGet('pencil_only') === true;
+    updatePencilOnlyUI();
+}
+
+/**
+ * Obtiene coordenadas del canvas teniendo en cuenta el zoom
+ * Soporta eventos de puntero, mouse y touch (Apple Pencil y dedos)
+ */
+function getCanvasCoords(e) {
+    const canvas = state.drawing.canvas;
+    const rect = canvas.getBoundingClientRect();
+
+    let clientX, clientY;
+
+    // Determinar si es un evento touch o mouse
+    if (e.touches && e.touches.length > 0) {
+        // Es un evento touch (puede ser Apple Pencil o dedo)
+        const touch = e.touches[0];
+        clientX = touch.clientX;
+        clientY = touch.clientY;
+    } else if (e.clientX !== undefined && e.clientY !== undefined) {
+        // Es un evento mouse o MouseEvent sintético
+        clientX = e.clientX;
+        clientY = e.clientY;
+    } else {
+        // Fallback por si acaso
+        return { x: 0, y: 0 };
+    }
+
+    // El canvas tiene las dimensiones naturales de la imagen
+    // pero se escala visualmente con transform: scale()
+    // Por lo tanto, necesitamos ajustar las coordenadas según el zoom
+    const scaleX = canvas.width / rect.width;
+    const scaleY = canvas.height / rect.height;
+
+    return {
+        x: (clientX - rect.left) * scaleX,
+        y: (clientY - rect.top) * scaleY
+    };
+}
+
+// ============================================
+// MODELO VECTORIAL DEL DIBUJO (TRAZOS + DESHACER)
+// ============================================
+
+// Máximo de operaciones que se pueden deshacer por página
+const DRAWING_UNDO_LIMIT = 100;
+
+/**
+ * Clave de almacenamiento del dibujo de la página actual
+ */
+function getDrawingKey() {
+    return `${state.currentExercise.name}_${state.currentPage}`;
+}
+
+/**
+ * Convierte un dibujo guardado al modelo vectorial:
+ *   {version: 2, background?: dataURL, strokes: [{tool, color, width, layer, points: [x0, y0, x1, y1...], pressures?}],
+ *    labels?: [{id, type: 'text' | 'sticky', x, y, text, color, collapsed?}]}
+ * Los dibujos antiguos (un PNG por página) se conservan como fondo de la capa de apuntes.
+ */
+function normalizeDrawing(data) {
+    if (typeof data === 'string') return { background: data, strokes: [], labels: [] };
+    return {
+        background: data?.background || null,
+        strokes: Array.isArray(data?.strokes) ? [...data.strokes] : [],
+        labels: Array.isArray(data?.labels) ? data.labels.map(label => ({ ...label })) : []
+    };
+}
+
+/**
+ * Aplica al contexto el estilo de una herramienta
+ */
+function applyStrokeStyle(ctx, stroke) {
+    if (stroke.tool === 'eraser') {
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.strokeStyle = 'rgba(0,0,0,1)';
+    } else if (stroke.tool === 'highlighter') {
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.strokeStyle = hexToRgba(stroke.color, 0.3);
+    } else {
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.strokeStyle = stroke.color;
+    }
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = stroke.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+}
+
+/**
+ * Grosor del trazo en un punto: con presión varía entre 0,3x y 1,7x (1x a media presión)
+ */
+function getStrokeWidthAt(stroke, index) {
+    const pressure = stroke.pressures?.[index];
+    if (pressure === undefined) return stroke.width;
+    return stroke.width * (0.3 + 1.4 * pressure);
+}
+
+/**
+ * Añade al path el tramo que acaba en el punto medio entre los puntos index-1 e index.
+ * Las curvas pasan por los puntos medios usando cada punto como control, lo que suaviza el trazo.
+ */
+function traceStrokeSegment(ctx, points, index, standalone) {
+    const j = (index - 1) * 2;
+    const midX = (points[j] + points[j + 2]) / 2;
+    const midY = (points[j + 1] + points[j + 3]) / 2;
+
+    if (index === 1) {
+        if (standalone) ctx.moveTo(points[0], points[1]);
+        ctx.lineTo(midX, midY);
+        return;
+    }
+
+    if (standalone) ctx.moveTo((points[j - 2] + points[j]) / 2, (points[j - 1] + points[j + 1]) / 2);
+    ctx.quadraticCurveTo(points[j], points[j + 1], midX, midY);
+}
+
+/**
+ * Dibuja un trazo completo (un solo path para que el marcador no se oscurezca en las uniones)
+ */
+function drawStroke(ctx, stroke) {
+    const points = stroke.points;
+    const count = points.length / 2;
+    applyStrokeStyle(ctx, stroke);
+
+    if (isShapeTool(stroke.tool)) {
+        drawShape(ctx, stroke);
+        return;
+    }
+
+    if (count === 1) {
+        // Un toque sin movimiento: un punto
+        ctx.beginPath();
+        ctx.arc(points[0], points[1], getStrokeWidthAt(stroke, 0) / 2, 0, Math.PI * 2);
+        ctx.fill();
+        return;
+    }
+
+    const lastX = points[points.length - 2];
+    const lastY = points[points.length - 1];
+
+    if (stroke.pressures) {
+        // Con presión cada tramo lleva su propio grosor
+        for (let i = 1; i < count; i++) {
+            ctx.lineWidth = getStrokeWidthAt(stroke, i - 1);
+            ctx.beginPath();
+            traceStrokeSegment(ctx, points, i, true);
+            ctx.stroke();
+        }
+        ctx.lineWidth = getStrokeWidthAt(stroke, count - 1);
+        ctx.beginPath();
+        ctx.moveTo((points[points.length - 4] + lastX) / 2, (points[points.length - 3] + lastY) / 2);
+        ctx.lineTo(lastX, lastY);
+        ctx.stroke();
+        return;
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(points[0], points[1]);
+    for (let i = 1; i < count; i++) {
+        traceStrokeSegment(ctx, points, i, false);
+    }
+    ctx.lineTo(lastX, lastY);
+    ctx.stroke();
+}
+
+/**
+ * Vuelve a pintar el canvas a partir del modelo de la página
+ */
+function renderDrawing() {
+    const { canvas, ctx, page } = state.drawing;
+    if (!canvas || !ctx || !page) return;
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Vista previa de la forma o del borrado en curso
+    const current = state.drawing.currentStroke;
+    const preview = current && (isShapeTool(current.tool) || current.tool === 'eraser') ? current : null;
+
+    drawPageLayers(ctx, page, state.drawing.backgroundImage, preview);
+
+    ctx.globalCompositeOperation = 'source-over';
+    if (page.strokes.includes(state.drawing.selectedShape)) {
+        drawShapeSelection(ctx, state.drawing.selectedShape);
+    }
+}
+
+/**
+ * Carga el dibujo de la página actual si ha cambiado de página
+ */
+function loadPageDrawing() {
+    if (!state.currentExercise) return;
+
+    const key = getDrawingKey();
+    if (state.drawing.pageKey === key) return;
+
+    flushLabelSave();
+    state.drawing.pageKey = key;
+    state.drawing.page = normalizeDrawing(state.drawing.savedDrawings[key]);
+    state.drawing.undoStack = [];
+    state.drawing.redoStack = [];
+    state.drawing.currentStroke = null;
+    state.drawing.shapeDrag = null;
+    state.drawing.selectedShape = null;
+    updateShapeSelectionUI();
+    renderPageLabels();
+    state.drawing.backgroundImage = null;
+
+    if (state.drawing.page.background) {
+        const img = new Image();
+        img.onload = () => {
+            if (state.drawing.pageKey === key) renderDrawing();
+        };
+        img.src = state.drawing.page.background;
+        state.drawing.backgroundImage = img;
+    }
+
+    updateUndoRedoButtons();
+}
+
+// Suavizado de la presión: peso de la lectura nueva frente a la anterior
+const PRESSURE_SMOOTHING = 0.4;
+
+/**
+ * Empieza un trazo con la herramienta, color y grosor actuales.
+ * Solo el lápiz con presión guarda `pressures` (una por punto, 0-1); el marcador
+ * y el borrador mantienen un grosor uniforme.
+ */
+function beginStroke(coords, pressure = null) {
+    loadPageDrawing();
+
+    const tool = state.drawing.tool;
+    const snapped = projectOntoRuler(coords, RULER_SNAP_DISTANCE);
+    state.drawing.rulerSnap = snapped !== null;
+    if (snapped) coords = snapped;
+
+    state.drawing.isDrawing = true;
+    state.drawing.currentStroke = {
+        tool,
+        color: state.drawing.color,
+        width: state.drawing.brushSizes[tool] || 4,
+        layer: state.drawing.layers.active,
+        points: [Math.round(coords.x), Math.round(coords.y)]
+    };
+    if (tool === 'pen' && pressure !== null) {
+        state.drawing.currentStroke.pressures = [Math.round(pressure * 100) / 100];
+    }
+}
+
+/**
+ * Añade un punto al trazo en curso y pinta el tramo nuevo
+ */
+function extendStroke(coords, pressure = null) {
+    const stroke = state.drawing.currentStroke;
+    if (!stroke) return;
+
+    // Junto a la regla el trazo sigue su borde
+    if (state.drawing.rulerSnap) coords = projectOntoRuler(coords, Infinity) || coords;
+
+    const x = Math.round(coords.x);
+    const y = Math.round(coords.y);
+    const points = stroke.points;
+    if (x === points[points.length - 2] && y === points[points.length - 1]) return;
+    points.push(x, y);
+
+    if (stroke.pressures) {
+        const previous = stroke.pressures[stroke.pressures.length - 1];
+        const smoothed = pressure === null
+            ? previous
+            : previous + (pressure - previous) * PRESSURE_SMOOTHING;
+        stroke.pressures.push(Math.round(smoothed * 100) / 100);
+    }
+
+    // La goma se previsualiza sobre su capa para no borrar la otra
+    if (stroke.tool === 'eraser') {
+        renderDrawing();
+        return;
+    }
+
+    // El último tramo (hasta el punto final) se pinta al terminar el trazo
+    const count = points.length / 2;
+    const ctx = state.drawing.ctx;
+    applyStrokeStyle(ctx, stroke);
+    ctx.lineWidth = getStrokeWidthAt(stroke, count - 2);
+    ctx.beginPath();
+    traceStrokeSegment(ctx, points, count - 1, true);
+    ctx.stroke();
+}
+
+/**
+ * Descarta el trazo en curso sin guardarlo
+ */
+function cancelStroke() {
+    state.drawing.isDrawing = false;
+    state.drawing.pointerId = null;
+    state.drawing.currentStroke = null;
+    renderDrawing();
+}
+
+/**
+ * Termina el trazo en curso: lo añade al modelo y al historial de deshacer
+ */
+function commitStroke() {
+    const stroke = state.drawing.currentStroke;
+    if (stroke && isShapeTool(stroke.tool)) {
+        const status = getShapeStatus(stroke);
+        // Ángulo con un solo brazo: el segundo se dibuja con el siguiente toque
+        if (status === 'pending') return;
+        if (status === 'empty') {
+            cancelStroke();
+            return;
+        }
+    }
+
+    state.drawing.currentStroke = null;
+    if (!stroke || !state.drawing.page) return;
+
+    state.drawing.page.strokes.push(stroke);
+    pushDrawingOperation({ type: 'add', stroke });
+    renderDrawing();
+    saveDrawing();
+}
+
+function pushDrawingOperation(operation) {
+    state.drawing.undoStack.push(operation);
+    if (state.drawing.undoStack.length > DRAWING_UNDO_LIMIT) state.drawing.undoStack.shift();
+    state.drawing.redoStack = [];
+    updateUndoRedoButtons();
+}
+
+/**
+ * Deshace la última operación de dibujo de la página
+ */
+function undoDrawing() {
+    const operation = state.drawing.undoStack.pop();
+    if (!operation) return;
+
+    const page = state.drawing.page;
+    if (operation.type === 'add') {
+        const index = page.strokes.lastIndexOf(operation.stroke);
+        if (index !== -1) page.strokes.splice(index, 1);
+    } else if (operation.type === 'clear') {
+        page.strokes = operation.strokes;
+        page.background = operation.background;
+    } else if (operation.type === 'move') {
+        translateShape(operation.stroke, -operation.dx, -operation.dy);
+    } else if (operation.type === 'remove') {
+        page.strokes.splice(Math.min(operation.index, page.strokes.length), 0, operation.stroke);
+    }
+
+    if (!page.strokes.includes(state.drawing.selectedShape)) selectShape(null);
+    state.drawing.redoStack.push(operation);
+    renderDrawing();
+    saveDrawing();
+    updateUndoRedoButtons();
+}
+
+/**
+ * Rehace la última operación deshecha
+ */
+function redoDrawing() {
+    const operation = state.drawing.redoStack.pop();
+    if (!operation) return;
+
+    const page = state.drawing.page;
+    if (operation.type === 'add') {
+        page.strokes.push(operation.stroke);
+    } else if (operation.type === 'clear') {
+        page.strokes = [];
+        page.background = null;
+    } else if (operation.type === 'move') {
+        translateShape(operation.stroke, operation.dx, operation.dy);
+    } else if (operation.type === 'remove') {
+        const index = page.strokes.indexOf(operation.stroke);
+        if (index !== -1) page.strokes.splice(index, 1);
+    }
+
+    if (!page.strokes.includes(state.drawing.selectedShape)) selectShape(null);
+    state.drawing.undoStack.push(operation);
+    renderDrawing();
+    saveDrawing();
+    updateUndoRedoButtons();
+}
+
+function updateUndoRedoButtons() {
+    const undoBtn = document.getElementById('undoDrawingBtn');
+    const redoBtn = document.getElementById('redoDrawingBtn');
+    if (undoBtn) undoBtn.disabled = state.drawing.undoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = state.drawing.redoStack.length === 0;
+}
+
+/**
+ * Limpia el dibujo actual (se puede deshacer)
+ */
+function clearDrawing() {
+    if (!state.drawing.canvas || !state.currentExercise) return;
+    loadPageDrawing();
+
+    const page = state.drawing.page;
+    if (page.strokes.length === 0 && !page.background) return;
+
+    pushDrawingOperation({ type: 'clear', strokes: page.strokes, background: page.background });
+    page.strokes = [];
+    page.background = null;
+    renderDrawing();
+    saveDrawing();
+    showNotification('Dibujo borrado (Ctrl+Z para deshacer)', 'info');
+}
+
+/**
+ * Guarda el dibujo actual
+ */
+function saveDrawing() {
+    if (!state.currentExercise || !state.drawing.page) return;
+
+    // Este guardado ya incluye el texto pendiente de las etiquetas
+    if (pendingLabelSave?.key === state.drawing.pageKey) {
+        clearTimeout(pendingLabelSave.timer);
+        pendingLabelSave = null;
+    }
+
+    // Cada página se guarda por separado en IndexedDB
+    storageSetDrawing(state.drawing.pageKey, serializeDrawing(state.drawing.page));
+}
+
+/**
+ * Dibujo de una página tal y como se guarda (null si no tiene nada)
+ */
+function serializeDrawing(page) {
+    // Una página sin trazos ni etiquetas no ocupa espacio
+    if (page.strokes.length === 0 && !page.background && page.labels.length === 0) return null;
+
+    const data = { version: 2, strokes: page.strokes };
+    if (page.background) data.background = page.background;
+    if (page.labels.length > 0) data.labels = page.labels;
+    return data;
+}
+
+/**
+ * Restaura el dibujo guardado (tras cambiar de página o redimensionar el canvas)
+ */
+function restoreDrawing() {
+    if (!state.currentExercise || !state.drawing.canvas || !state.drawing.ctx) return;
+
+    loadPageDrawing();
+    renderDrawing();
+}
+
+// Ctrl+Z / Cmd+Z deshace y Ctrl+Shift+Z / Ctrl+Y rehace en el visor
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || !state.currentExercise) return;
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoDrawing();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoDrawing();
+    }
+});
+
+// ============================================
+// FORMAS GEOMÉTRICAS Y REGLA
+// ============================================
+
+// Herramientas que dibujan formas editables (se guardan como trazos con sus puntos clave)
+const SHAPE_TOOLS = ['line', 'arrow', 'circle', 'rect', 'angle'];
+
+// Distancia (px del canvas) para enganchar un punto a los extremos de otras formas
+const SHAPE_SNAP_DISTANCE = 12;
+
+// Las líneas se enderezan a múltiplos de 15° si quedan a menos de esta tolerancia
+const SHAPE_ANGLE_STEP = 15;
+const SHAPE_ANGLE_TOLERANCE = 4;
+
+// Margen extra para seleccionar una forma con el dedo o el ratón
+const SHAPE_HIT_TOLERANCE = 10;
+
+// Regla: alto, separación de las marcas y distancia a la que un trazo se pega al borde
+const RULER_HEIGHT = 56;
+const RULER_TICK = 10;
+const RULER_SNAP_DISTANCE = 24;
+
+function isShapeTool(tool) {
+    return SHAPE_TOOLS.includes(tool);
+}
+
+/**
+ * Estado de una forma al soltar el puntero: lista, a medias (ángulo con un brazo) o vacía
+ */
+function getShapeStatus(shape) {
+    const p = shape.points;
+    if (p[0] === p[2] && p[1] === p[3]) return 'empty';
+    if (shape.tool === 'angle' && p.length === 4) return 'pending';
+    if (shape.tool === 'angle' && p[0] === p[4] && p[1] === p[5]) return 'pending';
+    return 'ready';
+}
+
+/**
+ * Empieza una forma, o el segundo brazo de un ángulo pendiente
+ */
+function beginShape(coords, shiftKey) {
+    loadPageDrawing();
+
+    const pending = state.drawing.currentStroke;
+    if (pending?.tool === 'angle' && pending.tool === state.drawing.tool) {
+        const vertex = { x: pending.points[0], y: pending.points[1] };
+        const point = snapShapePoint(pending, vertex, coords, shiftKey);
+        pending.points.splice(4, 2, point.x, point.y);
+        state.drawing.isDrawing = true;
+        renderDrawing();
+        return;
+    }
+
+    const start = findSnapPoint(coords, null) || roundPoint(coords);
+    const tool = state.drawing.tool;
+    state.drawing.isDrawing = true;
+    state.drawing.currentStroke = {
+        tool,
+        color: state.drawing.color,
+        width: state.drawing.brushSizes[tool] || 3,
+        layer: state.drawing.layers.active,
+        points: [start.x, start.y, start.x, start.y]
+    };
+}
+
+/**
+ * Mueve el último punto de la forma en curso
+ */
+function updateShape(coords, shiftKey) {
+    const shape = state.drawing.currentStroke;
+    const points = shape.points;
+    const origin = { x: points[0], y: points[1] };
+    const point = snapShapePoint(shape, origin, coords, shiftKey);
+
+    points[points.length - 2] = point.x;
+    points[points.length - 1] = point.y;
+    renderDrawing();
+}
+
+function roundPoint(coords) {
+    return { x: Math.round(coords.x), y: Math.round(coords.y) };
+}
+
+/**
+ * Ajusta un punto de la forma: a extremos cercanos de otras formas, a múltiplos de 15°
+ * en líneas y ángulos (siempre con Mayús) y a un cuadrado en rectángulos con Mayús
+ */
+function snapShapePoint(shape, origin, coords, shiftKey) {
+    const target = findSnapPoint(coords, shape);
+    if (target) return target;
+
+    const dx = coords.x - origin.x;
+    const dy = coords.y - origin.y;
+
+    if (shape.tool === 'rect' && shiftKey) {
+        const side = Math.max(Math.abs(dx), Math.abs(dy));
+        return roundPoint({ x: origin.x + Math.sign(dx || 1) * side, y: origin.y + Math.sign(dy || 1) * side });
+    }
+
+    if (shape.tool === 'line' || shape.tool === 'arrow' || shape.tool === 'angle') {
+        const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+        const nearest = Math.round(angle / SHAPE_ANGLE_STEP) * SHAPE_ANGLE_STEP;
+        if (shiftKey || Math.abs(angle - nearest) < SHAPE_ANGLE_TOLERANCE) {
+            const length = Math.hypot(dx, dy);
+            const radians = nearest * Math.PI / 180;
+            return roundPoint({ x: origin.x + Math.cos(radians) * length, y: origin.y + Math.sin(radians) * length });
+        }
+    }
+
+    return roundPoint(coords);
+}
+
+/**
+ * Punto clave de otra forma más cercano a `coords`, si está a distancia de enganche
+ */
+function findSnapPoint(coords, exclude) {
+    let best = null;
+    let bestDistance = SHAPE_SNAP_DISTANCE;
+
+    (state.drawing.page?.strokes || []).forEach(stroke => {
+        if (stroke === exclude || !isShapeTool(stroke.tool) || !isStrokeVisible(stroke)) return;
+        getShapeSnapPoints(stroke).forEach(point => {
+            const distance = Math.hypot(point.x - coords.x, point.y - coords.y);
+            if (distance <= bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+    });
+
+    return best;
+}
+
+function getShapeSnapPoints(shape) {
+    const p = shape.points;
+    if (shape.tool === 'circle') return [{ x: p[0], y: p[1] }];
+    if (shape.tool === 'rect') {
+        return [
+            { x: p[0], y: p[1] }, { x: p[2], y: p[1] },
+            { x: p[2], y: p[3] }, { x: p[0], y: p[3] }
+        ];
+    }
+
+    const points = [];
+    for (let i = 0; i < p.length; i += 2) points.push({ x: p[i], y: p[i + 1] });
+    return points;
+}
+
+/**
+ * Dibuja una forma con el estilo ya aplicado al contexto
+ */
+function drawShape(ctx, shape) {
+    const p = shape.points;
+    ctx.beginPath();
+
+    if (shape.tool === 'line' || shape.tool === 'arrow') {
+        ctx.moveTo(p[0], p[1]);
+        ctx.lineTo(p[2], p[3]);
+
+        if (shape.tool === 'arrow') {
+            const angle = Math.atan2(p[3] - p[1], p[2] - p[0]);
+            const head = Math.max(12, shape.width * 3);
+            ctx.moveTo(p[2] - head * Math.cos(angle - Math.PI / 6), p[3] - head * Math.sin(angle - Math.PI / 6));
+            ctx.lineTo(p[2], p[3]);
+            ctx.lineTo(p[2] - head * Math.cos(angle + Math.PI / 6), p[3] - head * Math.sin(angle + Math.PI / 6));
+        }
+    } else if (shape.tool === 'rect') {
+        ctx.rect(p[0], p[1], p[2] - p[0], p[3] - p[1]);
+    } else if (shape.tool === 'circle') {
+        ctx.arc(p[0], p[1], Math.hypot(p[2] - p[0], p[3] - p[1]), 0, Math.PI * 2);
+    } else if (shape.tool === 'angle') {
+        ctx.moveTo(p[2], p[3]);
+        ctx.lineTo(p[0], p[1]);
+        if (p.length === 6) ctx.lineTo(p[4], p[5]);
+    }
+
+    ctx.stroke();
+
+    if (shape.tool === 'angle' && p.length === 6) drawAngleMeasure(ctx, shape);
+}
+
+/**
+ * Arco y medida en grados de un ángulo (vértice, brazo A, brazo B)
+ */
+function drawAngleMeasure(ctx, shape) {
+    const [vx, vy, ax, ay, bx, by] = shape.points;
+    const armA = Math.hypot(ax - vx, ay - vy);
+    const armB = Math.hypot(bx - vx, by - vy);
+    if (armA === 0 || armB === 0) return;
+
+    const start = Math.atan2(ay - vy, ax - vx);
+    let sweep = Math.atan2(by - vy, bx - vx) - start;
+    if (sweep > Math.PI) sweep -= Math.PI * 2;
+    if (sweep < -Math.PI) sweep += Math.PI * 2;
+
+    const radius = Math.min(40, armA / 2, armB / 2);
+    ctx.beginPath();
+    ctx.arc(vx, vy, radius, start, start + sweep, sweep < 0);
+    ctx.stroke();
+
+    const fontSize = Math.max(14, shape.width * 5);
+    const middle = start + sweep / 2;
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(
+        `${Math.round(Math.abs(sweep) * 180 / Math.PI)}°`,
+        vx + Math.cos(middle) * (radius + fontSize),
+        vy + Math.sin(middle) * (radius + fontSize)
+    );
+}
+
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const lengthSq = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSq));
+    return Math.hypot(px - (x1 + t * (x2 - x1)), py - (y1 + t * (y2 - y1)));
+}
+
+/**
+ * Distancia de un punto al contorno de una forma
+ */
+function getShapeDistance(shape, x, y) {
+    const p = shape.points;
+
+    if (shape.tool === 'circle') {
+        return Math.abs(Math.hypot(x - p[0], y - p[1]) - Math.hypot(p[2] - p[0], p[3] - p[1]));
+    }
+
+    if (shape.tool === 'rect') {
+        return Math.min(
+            distanceToSegment(x, y, p[0], p[1], p[2], p[1]),
+            distanceToSegment(x, y, p[2], p[1], p[2], p[3]),
+            distanceToSegment(x, y, p[2], p[3], p[0], p[3]),
+            distanceToSegment(x, y, p[0], p[3], p[0], p[1])
+        );
+    }
+
+    // Líneas, flechas y brazos del ángulo parten del primer punto
+    let distance = Infinity;
+    for (let i = 2; i < p.length; i += 2) {
+        distance = Math.min(distance, distanceToSegment(x, y, p[0], p[1], p[i], p[i + 1]));
+    }
+    return distance;
+}
+
+/**
+ * Forma más alta bajo el puntero (los trazos a mano alzada no se seleccionan)
+ */
+function findShapeAt(coords) {
+    const strokes = state.drawing.page?.strokes || [];
+    for (let i = strokes.length - 1; i >= 0; i--) {
+        const stroke = strokes[i];
+        if (!isShapeTool(stroke.tool) || !isStrokeVisible(stroke)) continue;
+        if (getShapeDistance(stroke, coords.x, coords.y) <= stroke.width / 2 + SHAPE_HIT_TOLERANCE) {
+            return stroke;
+        }
+    }
+    return null;
+}
+
+function getShapeBounds(shape) {
+    const p = shape.points;
+    if (shape.tool === 'circle') {
+        const radius = Math.hypot(p[2] - p[0], p[3] - p[1]);
+        return { left: p[0] - radius, top: p[1] - radius, right: p[0] + radius, bottom: p[1] + radius };
+    }
+
+    const xs = p.filter((_, i) => i % 2 === 0);
+    const ys = p.filter((_, i) => i % 2 === 1);
+    return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+}
+
+/**
+ * Recuadro discontinuo alrededor de la forma seleccionada
+ */
+function drawShapeSelection(ctx, shape) {
+    const bounds = getShapeBounds(shape);
+    const margin = shape.width / 2 + 6;
+
+    ctx.save();
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#6366f1';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+        bounds.left - margin,
+        bounds.top - margin,
+        bounds.right - bounds.left + margin * 2,
+        bounds.bottom - bounds.top + margin * 2
+    );
+    ctx.restore();
+}
+
+function translateShape(shape, dx, dy) {
+    for (let i = 0; i < shape.points.length; i++) {
+        shape.points[i] += i % 2 === 0 ? dx : dy;
+    }
+}
+
+/**
+ * Selecciona una forma (o ninguna con null)
+ */
+function selectShape(shape) {
+    if (state.drawing.selectedShape === shape) return;
+
+    state.drawing.selectedShape = shape;
+    updateShapeSelectionUI();
+    renderDrawing();
+}
+
+function updateShapeSelectionUI() {
+    const deleteBtn = document.getElementById('deleteShapeBtn');
+    if (deleteBtn) deleteBtn.disabled = !state.drawing.selectedShape;
+}
+
+/**
+ * Selecciona la forma bajo el puntero y empieza a arrastrarla
+ */
+function beginShapeDrag(coords) {
+    loadPageDrawing();
+
+    const shape = findShapeAt(coords);
+    selectShape(shape);
+    if (!shape) return;
+
+    const start = roundPoint(coords);
+    state.drawing.isDrawing = true;
+    state.drawing.shapeDrag = { lastX: start.x, lastY: start.y, dx: 0, dy: 0 };
+}
+
+function moveShapeDrag(coords) {
+    const drag = state.drawing.shapeDrag;
+    const point = roundPoint(coords);
+    const dx = point.x - drag.lastX;
+    const dy = point.y - drag.lastY;
+    if (dx === 0 && dy === 0) return;
+
+    translateShape(state.drawing.selectedShape, dx, dy);
+    drag.lastX = point.x;
+    drag.lastY = point.y;
+    drag.dx += dx;
+    drag.dy += dy;
+    renderDrawing();
+}
+
+/**
+ * Termina el arrastre: el desplazamiento total se puede deshacer
+ */
+function endShapeDrag() {
+    const drag = state.drawing.shapeDrag;
+    state.drawing.shapeDrag = null;
+    if (!drag || (drag.dx === 0 && drag.dy === 0)) return;
+
+    pushDrawingOperation({ type: 'move', stroke: state.drawing.selectedShape, dx: drag.dx, dy: drag.dy });
+    saveDrawing();
+}
+
+/**
+ * Elimina la forma seleccionada (se puede deshacer)
+ */
+function deleteSelectedShape() {
+    const shape = state.drawing.selectedShape;
+    const page = state.drawing.page;
+    const index = page ? page.strokes.indexOf(shape) : -1;
+    if (index === -1) return;
+
+    page.strokes.splice(index, 1);
+    pushDrawingOperation({ type: 'remove', stroke: shape, index });
+    selectShape(null);
+    saveDrawing();
+}
+
+// Supr / Retroceso elimina la forma seleccionada
+document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+    if (!state.drawing.enabled || !state.drawing.selectedShape) return;
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+    e.preventDefault();
+    deleteSelectedShape();
+});
+
+/**
+ * Muestra u oculta la regla sobre la página
+ */
+function toggleRuler() {
+    const ruler = state.drawing.ruler;
+
+    ruler.visible = !ruler.visible;
+
+    const btn = document.getElementById('rulerBtn');
+    if (btn) btn.classList.toggle('active', ruler.visible);
+
+    initRuler();
+    positionRuler();
+}
+
+/**
+ * Coloca la regla según su posición en el canvas y el zoom actual
+ */
+function positionRuler() {
+    const el = document.getElementById('drawingRuler');
+    const canvas = state.drawing.canvas;
+    const ruler = state.drawing.ruler;
+    if (!el) return;
+
+    const visible = ruler.visible && state.drawing.enabled && canvas?.width > 0;
+    el.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    // La primera vez se coloca cruzando la página
+    if (ruler.length === 0) {
+        ruler.x = Math.round(canvas.width * 0.1);
+        ruler.y = Math.round(canvas.height * 0.3);
+        ruler.length = Math.round(canvas.width * 0.8);
+    }
+
+    const scale = (canvas.offsetWidth / canvas.width) * state.zoomLevel;
+    el.style.width = ruler.length * scale + 'px';
+    el.style.height = RULER_HEIGHT * scale + 'px';
+    el.style.transform = `translate(${ruler.x * scale}px, ${ruler.y * scale}px) rotate(${ruler.angle}deg)`;
+    el.style.setProperty('--ruler-tick', RULER_TICK * scale + 'px');
+
+    const label = document.getElementById('rulerAngle');
+    if (label) label.textContent = `${Math.round(((ruler.angle % 360) + 360) % 360)}°`;
+}
+
+/**
+ * Proyecta un punto sobre el borde de la regla si está a menos de `maxDistance`
+ */
+function projectOntoRuler(coords, maxDistance) {
+    const ruler = state.drawing.ruler;
+    if (!ruler.visible || !state.drawing.enabled) return null;
+
+    const radians = ruler.angle * Math.PI / 180;
+    const dirX = Math.cos(radians);
+    const dirY = Math.sin(radians);
+    const t = (coords.x - ruler.x) * dirX + (coords.y - ruler.y) * dirY;
+    const distance = Math.abs((coords.x - ruler.x) * -dirY + (coords.y - ruler.y) * dirX);
+
+    if (distance > maxDistance) return null;
+    if (maxDistance !== Infinity && (t < 0 || t > ruler.length)) return null;
+
+    return { x: ruler.x + dirX * t, y: ruler.y + dirY * t };
+}
+
+// Arrastre en curso de la regla: mover o girar
+let rulerGesture = null;
+
+/**
+ * Conecta los gestos de la regla (una sola vez)
+ */
+function initRuler() {
+    const el = document.getElementById('drawingRuler');
+    if (!el || el.dataset.ready) return;
+    el.dataset.ready = 'true';
+
+    el.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        el.setPointerCapture?.(e.pointerId);
+
+        const ruler = state.drawing.ruler;
+        rulerGesture = e.target.closest('.ruler-rotate-handle')
+            ? { type: 'rotate' }
+            : { type: 'move', clientX: e.clientX, clientY: e.clientY, x: ruler.x, y: ruler.y };
+    });
+
+    el.addEventListener('pointermove', (e) => {
+        if (!rulerGesture) return;
+        e.preventDefault();
+
+        const ruler = state.drawing.ruler;
+        const canvas = state.drawing.canvas;
+        if (rulerGesture.type === 'move') {
+            const scale = (canvas.offsetWidth / canvas.width) * state.zoomLevel;
+            ruler.x = Math.round(rulerGesture.x + (e.clientX - rulerGesture.clientX) / scale);
+            ruler.y = Math.round(rulerGesture.y + (e.clientY - rulerGesture.clientY) / scale);
+        } else {
+            // Gira alrededor del extremo izquierdo; se engancha a múltiplos de 15°
+            const coords = getCanvasCoords(e);
+            const angle = Math.atan2(coords.y - ruler.y, coords.x - ruler.x) * 180 / Math.PI;
+            const nearest = Math.round(angle / SHAPE_ANGLE_STEP) * SHAPE_ANGLE_STEP;
+            ruler.angle = Math.abs(angle - nearest) < SHAPE_ANGLE_TOLERANCE ? nearest : Math.round(angle);
+        }
+        positionRuler();
+    });
+
+    const endGesture = () => { rulerGesture = null; };
+    el.addEventListener('pointerup', endGesture);
+    el.addEventListener('pointercancel', endGesture);
+}
+
+// ============================================
+// ETIQUETAS Y NOTAS ADHESIVAS DE LA PÁGINA
+// ============================================
+
+// Arrastre en curso de una etiqueta
+let labelDrag = null;
+
+// Ms sin escribir antes de guardar el texto de una etiqueta (no en cada tecla)
+const LABEL_SAVE_DELAY = 500;
+
+// Guardado aplazado del texto: {key, page, timer}
+let pendingLabelSave = null;
+
+/**
+ * Escala entre coordenadas del canvas (tamaño natural de la imagen) y píxeles CSS sin zoom
+ */
+function getPageBaseScale() {
+    const img = document.getElementById('exerciseImage');
+    const width = img ? getPageImageSize(img).width : 0;
+    return width ? img.offsetWidth / width : 1;
+}
+
+function findPageLabel(id) {
+    return state.drawing.page?.labels.find(label => label.id === id) || null;
+}
+
+/**
+ * Crea una etiqueta de texto o una nota adhesiva en el punto tocado
+ */
+function addPageLabel(type, coords) {
+    const container = document.getElementById('pageLabels');
+    if (!container) return;
+
+    // Con una etiqueta en edición, tocar fuera solo termina la edición
+    if (container.contains(document.activeElement)) {
+        document.activeElement.blur();
+        return;
+    }
+
+    loadPageDrawing();
+    const label = {
+        id: `label_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        x: Math.round(coords.x),
+        y: Math.round(coords.y),
+        text: '',
+        color: state.drawing.color
+    };
+    if (type === 'sticky') label.collapsed = false;
+
+    state.drawing.page.labels.push(label);
+    const el = createPageLabelElement(label);
+    container.appendChild(el);
+    positionPageLabels();
+    el.querySelector('.page-label-body').focus();
+}
+
+/**
+ * Pinta las etiquetas de la página actual
+ */
+function renderPageLabels() {
+    const container = document.getElementById('pageLabels');
+    if (!container) return;
+
+    container.innerHTML = '';
+    (state.drawing.page?.labels || []).forEach(label => {
+        container.appendChild(createPageLabelElement(label));
+    });
+    positionPageLabels();
+}
+
+function createLabelButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'page-label-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Elemento de una etiqueta: asa para arrastrar, texto editable y botones
+ */
+function createPageLabelElement(label) {
+    const id = label.id;
+    const el = document.createElement('div');
+    el.className = `page-label page-label-${label.type}`;
+    el.classList.toggle('collapsed', !!label.collapsed);
+    el.dataset.id = id;
+
+    const handle = document.createElement('div');
+    handle.className = 'page-label-handle';
+    handle.title = 'Arrastrar';
+    if (label.type === 'sticky') {
+        el.style.borderTopColor = label.color;
+        handle.appendChild(createLabelButton(label.collapsed ? '▸' : '▾', 'Plegar / desplegar', () => togglePageLabelCollapsed(id)));
+        const title = document.createElement('span');
+        title.className = 'page-label-title';
+        title.textContent = '📝';
+        handle.appendChild(title);
+    } else {
+        handle.textContent = '⠿';
+    }
+    handle.appendChild(createLabelButton('×', 'Eliminar', () => removePageLabel(id)));
+
+    const text = document.createElement('div');
+    text.className = 'page-label-body';
+    text.contentEditable = 'true';
+    text.spellcheck = false;
+    text.textContent = label.text;
+    if (label.type === 'text') text.style.color = label.color;
+
+    // Guardar al escribir; una etiqueta vacía desaparece al salir de ella
+    text.addEventListener('input', () => updatePageLabelText(id, text.innerText));
+    text.addEventListener('blur', () => {
+        if (!findPageLabel(id)?.text.trim()) removePageLabel(id);
+        else flushLabelSave();
+    });
+
+    handle.addEventListener('pointerdown', (e) => startLabelDrag(e, id));
+    handle.addEventListener('pointermove', moveLabelDrag);
+    handle.addEventListener('pointerup', endLabelDrag);
+    handle.addEventListener('pointercancel', endLabelDrag);
+
+    el.append(handle, text);
+    return el;
+}
+
+/**
+ * Coloca las etiquetas en su punto de la página: la capa se escala con el zoom
+ */
+function positionPageLabels() {
+    const container = document.getElementById('pageLabels');
+    if (!container) return;
+
+    container.style.transform = `scale(${state.zoomLevel})`;
+    const scale = getPageBaseScale();
+    container.querySelectorAll('.page-label').forEach(el => {
+        const label = findPageLabel(el.dataset.id);
+        if (!label) return;
+        el.style.left = label.x * scale + 'px';
+        el.style.top = label.y * scale + 'px';
+    });
+}
+
+function updatePageLabelText(id, text) {
+    const label = findPageLabel(id);
+    if (!label) return;
+
+    label.text = text;
+    scheduleLabelSave();
+}
+
+/**
+ * Aplaza el guardado mientras se escribe; se hace al parar, al salir de la etiqueta
+ * o al cambiar de página
+ */
+function scheduleLabelSave() {
+    const { pageKey, page } = state.drawing;
+    if (pendingLabelSave?.key !== pageKey) flushLabelSave();
+    else clearTimeout(pendingLabelSave.timer);
+
+    pendingLabelSave = { key: pageKey, page, timer: setTimeout(flushLabelSave, LABEL_SAVE_DELAY) };
+}
+
+function flushLabelSave() {
+    if (!pendingLabelSave) return;
+
+    const { key, page, timer } = pendingLabelSave;
+    pendingLabelSave = null;
+    clearTimeout(timer);
+    storageSetDrawing(key, serializeDrawing(page));
+}
+
+function removePageLabel(id) {
+    const labels = state.drawing.page?.labels;
+    const index = labels ? labels.findIndex(label => label.id === id) : -1;
+    if (index === -1) return;
+
+    labels.splice(index, 1);
+    document.querySelector(`#pageLabels [data-id="${id}"]`)?.remove();
+    saveDrawing();
+}
+
+function togglePageLabelCollapsed(id) {
+    const label = findPageLabel(id);
+    const el = document.querySelector(`#pageLabels [data-id="${id}"]`);
+    if (!label || !el) return;
+
+    label.collapsed = !label.collapsed;
+    el.classList.toggle('collapsed', label.collapsed);
+    el.querySelector('.page-label-btn').textContent = label.collapsed ? '▸' : '▾';
+    saveDrawing();
+}
+
+function startLabelDrag(e, id) {
+    if (e.target.closest('button')) return;
+    const label = findPageLabel(id);
+    if (!label) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    labelDrag = {
+        label,
+        clientX: e.clientX,
+        clientY: e.clientY,
+        x: label.x,
+        y: label.y,
+        scale: getPageBaseScale() * state.zoomLevel
+    };
+}
+
+function moveLabelDrag(e) {
+    if (!labelDrag) return;
+    e.preventDefault();
+
+    labelDrag.label.x = Math.round(labelDrag.x + (e.clientX - labelDrag.clientX) / labelDrag.scale);
+    labelDrag.label.y = Math.round(labelDrag.y + (e.clientY - labelDrag.clientY) / labelDrag.scale);
+    positionPageLabels();
+}
+
+function endLabelDrag() {
+    if (!labelDrag) return;
+
+    const { label, x, y } = labelDrag;
+    labelDrag = null;
+    if (label.x !== x || label.y !== y) saveDrawing();
+}
+
+// ============================================
+// CAPAS DEL DIBUJO: BORRADOR Y APUNTES
+// ============================================
+
+// De abajo arriba: apuntes permanentes y borrador del intento actual
+const DRAWING_LAYERS = ['notes', 'scratch'];
+
+// Canvas auxiliar donde se compone cada capa antes de pintarla
+let layerCanvas = null;
+
+function getLayerContext(width, height) {
+    if (!layerCanvas) layerCanvas = document.createElement('canvas');
+    if (layerCanvas.width !== width || layerCanvas.height !== height) {
+        layerCanvas.width = width;
+        layerCanvas.height = height;
+    }
+    return layerCanvas.getContext('2d');
+}
+
+/**
+ * Pinta las capas visibles de un dibujo de página.
+ * Cada capa se compone aparte para que la goma de una no borre la otra.
+ */
+function drawPageLayers(ctx, page, backgroundImage, preview = null) {
+    const { width, height } = ctx.canvas;
+    const layerCtx = getLayerContext(width, height);
+
+    DRAWING_LAYERS.forEach(layer => {
+        if (!state.drawing.layers.visible[layer]) return;
+
+        layerCtx.globalCompositeOperation = 'source-over';
+        layerCtx.clearRect(0, 0, width, height);
+
+        if (layer === 'notes' && page.background && backgroundImage?.complete) {
+            layerCtx.drawImage(backgroundImage, 0, 0);
+        }
+
+        page.strokes.forEach(stroke => {
+            if (getStrokeLayer(stroke) === layer) drawStroke(layerCtx, stroke);
+        });
+        if (preview && getStrokeLayer(preview) === layer) drawStroke(layerCtx, preview);
+
+        ctx.drawImage(layerCtx.canvas, 0, 0);
+    });
+}
+
+/**
+ * Capa de un trazo: los anteriores a las capas son apuntes, para no perderlos al limpiar el borrador
+ */
+function getStrokeLayer(stroke) {
+    return stroke.layer || 'notes';
+}
+
+function isStrokeVisible(stroke) {
+    return state.drawing.layers.visible[getStrokeLayer(stroke)];
+}
+
+/**
+ * Elige la capa en la que se dibuja
+ */
+function setActiveLayer(layer) {
+    state.drawing.layers.active = layer;
+    if (!state.drawing.layers.visible[layer]) state.drawing.layers.visible[layer] = true;
+    saveDrawingLayers();
+    updateLayerUI();
+    renderDrawing();
+}
+
+/**
+ * Muestra u oculta una capa; las etiquetas y notas van con los apuntes
+ */
+function toggleLayerVisibility(layer) {
+    const visible = state.drawing.layers.visible;
+    visible[layer] = !visible[layer];
+
+    if (state.drawing.selectedShape && !isStrokeVisible(state.drawing.selectedShape)) selectShape(null);
+    saveDrawingLayers();
+    updateLayerUI();
+    renderDrawing();
+}
+
+function updateLayerUI() {
+    const { active, visible } = state.drawing.layers;
+
+    [['scratch', 'Scratch'], ['notes', 'Notes']].forEach(([layer, suffix]) => {
+        document.getElementById('layer' + suffix + 'Btn')?.classList.toggle('active', active === layer);
+        const eye = document.getElementById('layer' + suffix + 'Eye');
+        if (eye) {
+            eye.classList.toggle('off', !visible[layer]);
+            eye.textContent = visible[layer] ? '👁' : '🙈';
+        }
+    });
+
+    const labels = document.getElementById('pageLabels');
+    if (labels) labels.classList.toggle('hidden', !visible.notes);
+}
+
+function saveDrawingLayers() {
+    storageSet('drawing_layers', state.drawing.layers);
+}
+
+/**
+ * Carga la capa activa y la visibilidad guardadas
+ */
+function loadDrawingLayers() {
+    const saved = storageGet('drawing_layers');
+    if (saved) {
+        state.drawing.layers = {
+            active: DRAWING_LAYERS.includes(saved.active) ? saved.active : 'scratch',
+            visible: { ...state.drawing.layers.visible, ...saved.visible }
+        };
+    }
+    updateLayerUI();
+}
+
+/**
+ * Claves de dibujo de todas las páginas de un ejercicio
+ */
+function getExerciseDrawingKeys(exerciseName) {
+    return Object.keys(state.drawing.savedDrawings).filter(key => isExerciseDrawingKey(exerciseName, key));
+}
+
+function isExerciseDrawingKey(exerciseName, key) {
+    const prefix = exerciseName + '_';
+    return typeof key === 'string' && key.startsWith(prefix) && /^\d+$/.test(key.slice(prefix.length));
+}
+
+/**
+ * Borra la capa de borrador en todas las páginas de un ejercicio.
+ * Devuelve cuántas páginas tenían borrador.
+ */
+function clearScratchLayer(exerciseName) {
+    let cleared = 0;
+
+    getExerciseDrawingKeys(exerciseName).forEach(key => {
+        const loaded = state.drawing.pageKey === key;
+        const page = loaded ? state.drawing.page : normalizeDrawing(state.drawing.savedDrawings[key]);
+        const strokes = page.strokes.filter(stroke => getStrokeLayer(stroke) !== 'scratch');
+        if (strokes.length === page.strokes.length) return;
+
+        cleared++;
+        page.strokes = strokes;
+        if (loaded) {
+            // El historial de la página apunta a trazos que ya no existen
+            state.drawing.undoStack = [];
+            state.drawing.redoStack = [];
+            state.drawing.selectedShape = null;
+            updateUndoRedoButtons();
+            updateShapeSelectionUI();
+            renderDrawing();
+        }
+
+        storageSetDrawing(key, serializeDrawing(page));
+    });
+
+    if (storageGet('scratch_expired')?.[exerciseName]) {
+        const expired = { ...storageGet('scratch_expired') };
+        delete expired[exerciseName];
+        storageSet('scratch_expired', expired);
+    }
+
+    return cleared;
+}
+
+/**
+ * "Limpiar borrador" del ejercicio abierto
+ */
+function clearScratchForExercise() {
+    const exercise = state.currentExercise;
+    if (!exercise) return;
+    if (!confirm(`¿Borrar el borrador de todas las páginas de "${exercise.name}"? Los apuntes se conservan.`)) return;
+
+    const cleared = clearScratchLayer(exercise.name);
+    showNotification(cleared > 0
+        ? `Borrador limpiado en ${cleared} página${cleared === 1 ? '' : 's'} 🧹`
+        : 'No había nada en el borrador', 'info');
+}
+
+/**
+ * Tras corregir un intento, su borrador se limpiará al empezar el siguiente
+ * (así se puede repasar la corrección con lo dibujado)
+ */
+function expireScratchLayer(exerciseName) {
+    storageSet('scratch_expired', { ...storageGet('scratch_expired'), [exerciseName]: new Date().toISOString() });
+}
+
+/**
+ * Al empezar un intento nuevo, limpia el borrador del anterior si ya se corrigió
+ */
+function clearExpiredScratch(exerciseName) {
+    if (!storageGet('scratch_expired')?.[exerciseName]) return;
+
+    if (clearScratchLayer(exerciseName) > 0) {
+        showNotification('Intento nuevo: borrador anterior limpiado (los apuntes se conservan)', 'info');
+    }
+}
+
+/**
+ * Carga los dibujos guardados
+ */
+function loadSavedDrawings() {
+    state.drawing.savedDrawings = storageGetDrawings();
+}
+
+/**
+ * Convierte hex a rgba
+ */
+function hexToRgba(hex, alpha) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Ajusta la imagen a la pantalla
+ */
+function fitToScreen() {
+    const container = document.getElementById('imageContainer');
+    const img = document.getElementById('exerciseImage');
+
+    if (!container || !img) return;
+
+    const containerWidth = container.clientWidth - 40;
+    const containerHeight = container.clientHeight - 40;
+    const pageSize = getPageImageSize(img);
+    const imgRatio = pageSize.width / pageSize.height;
+    const containerRatio = containerWidth / containerHeight;
+
+    if (imgRatio > containerRatio) {
+        state.zoomLevel = clampZoom(containerWidth / pageSize.width);
+    } else {
+        state.zoomLevel = clampZoom(containerHeight / pageSize.height);
+    }
+
+    updateZoom();
+}
+
+// Actualizar la inicialización
+const originalLoadData = loadData;
+loadData = async function () {
+    await originalLoadData();
+    loadSavedDrawings();
+};
+
+// Observar cambios de página para reiniciar canvas
+const originalLoadPage = loadPage;
+loadPage = function () {
+    originalLoadPage();
+    loadPageDrawing();
+
+    // Reinicializar canvas después de cargar la página
+    setTimeout(() => {
+        initDrawingCanvas();
+    }, 100);
+};
+
+// Observar cambios en el tamaño de la imagen para redimensionar canvas
+window.addEventListener('resize', () => {
+    if (state.drawing.canvas) {
+        resizeCanvas();
+    }
+});
+
+
+// ==========================================
+// UPLOAD PDF FUNCTIONS
+// ==========================================
+
+// Valor del selector de categoría para crear una nueva
+const NEW_CATEGORY_OPTION = '__new__';
+
+function showUploadPanel() {
+    const select = document.getElementById('uploadCategory');
+    const categories = Object.keys(state.exercises);
+    const selected = state.currentCategory || categories[0];
+
+    select.innerHTML = categories.map(category => `
+        <option value="${escapeHTML(category)}" ${category === selected ? 'selected' : ''}>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</option>
+    `).join('') + `<option value="${NEW_CATEGORY_OPTION}" ${categories.length ? '' : 'selected'}>➕ Nueva categoría…</option>`;
+    toggleNewCategoryInput();
+
+    document.getElementById('uploadModal').classList.remove('hidden');
+}
+
+function closeUploadPanel() {
+    document.getElementById('uploadModal').classList.add('hidden');
+}
+
+function toggleNewCategoryInput() {
+    const isNew = document.getElementById('uploadCategory').value === NEW_CATEGORY_OPTION;
+    document.getElementById('uploadNewCategory').classList.toggle('hidden', !isNew);
+}
+
+/**
+ * Categoría elegida en el modal de carga (o null si falta el nombre de la nueva)
+ */
+function getUploadCategory() {
+    const value = document.getElementById('uploadCategory').value;
+    if (value !== NEW_CATEGORY_OPTION) return value;
+    return document.getElementById('uploadNewCategory').value.trim() || null;
+}
+
+function handleDragOver(e) {
+    e.preventDefault();
+    document.getElementById('uploadZone').classList.add('dragover');
+}
+
+function handleDragLeave(e) {
+    document.getElementById('uploadZone').classList.remove('dragover');
+}
+
+function handleDrop(e) {
+    e.preventDefault();
+    document.getElementById('uploadZone').classList.remove('dragover');
+
+    const files = e.dataTransfer.files;
+    handleFiles(files);
+}
+
+function handleFileSelect(e) {
+    const files = e.target.files;
+    handleFiles(files);
+    e.target.value = '';
+}
+
+/**
+ * Guarda los PDFs elegidos en la biblioteca, dentro de la categoría seleccionada
+ */
+async function handleFiles(files) {
+    const uploadList = document.getElementById('uploadList');
+    const pdfFiles = [...files].filter(file => file.type === 'application/pdf' || /\.pdf$/i.test(file.name));
+    if (pdfFiles.length === 0) return;
+
+    try {
+        await loadPDFJS();
+    } catch (error) {
+        showNotification('No se pudo cargar el lector de PDF', 'error');
+        return;
+    }
+
+    // Sin IndexedDB no hay espacio para guardar PDFs: se abren solo para esta sesión
+    if (!storage.db) {
+        showNotification('Este navegador no permite guardar PDFs; se abrirá sin guardar', 'warning');
+        loadPDFFromFile(pdfFiles[0]);
+        return;
+    }
+
+    const category = getUploadCategory();
+    if (!category) {
+        showNotification('Escribe el nombre de la nueva categoría', 'warning');
+        return;
+    }
+
+    for (const file of pdfFiles) {
+        const item = document.createElement('div');
+        item.className = 'upload-item';
+        item.innerHTML = `
+            <span>📄 ${escapeHTML(file.name)}</span>
+            <span style="color: var(--text-muted); font-size: 0.8rem;">Guardando…</span>
+        `;
+        uploadList.appendChild(item);
+
+        try {
+            const exercise = await saveUploadedPDF(file, category);
+            item.innerHTML = `
+                <span>📄 ${escapeHTML(exercise.name)} <small>(${escapeHTML(category)} · ${exercise.total_pages} págs.)</small></span>
+                <button class="btn-small">Abrir</button>
+            `;
+            item.querySelector('button').onclick = () => openLibraryExercise(category, exercise);
+        } catch (error) {
+            console.error('Error guardando PDF:', error);
+            item.lastElementChild.textContent = '❌ No se pudo guardar';
+        }
+    }
+
+    renderCategories();
+    if (state.currentCategory === category) renderExerciseList();
+    showNotification(`PDFs guardados en ${category}`, 'success');
+}
+
+/**
+ * Guarda un PDF en el almacenamiento local y lo añade a la biblioteca
+ */
+async function saveUploadedPDF(file, category) {
+    const data = await file.arrayBuffer();
+
+    // pdf.js se queda con el buffer que recibe: se le pasa una copia
+    const pdf = await pdfjsLib.getDocument({ data: data.slice(0) }).promise;
+    const totalPages = pdf.numPages;
+    pdf.destroy();
+
+    const entry = {
+        id: `pdf_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name: getUniqueExerciseName(file.name.replace(/\.pdf$/i, '')),
+        category,
+        total_pages: totalPages,
+        size: file.size,
+        addedAt: new Date().toISOString()
+    };
+
+    await storageSetPDF(entry.id, data);
+    storageSet('pdf_library', [...storageGet('pdf_library', []), entry]);
+
+    return addPDFToLibrary(entry);
+}
+
+/**
+ * Los datos (respuestas, dibujos, historial) se guardan por nombre de ejercicio,
+ * así que un PDF subido no puede repetir el nombre de otro ejercicio
+ */
+function getUniqueExerciseName(baseName) {
+    const names = new Set(Object.values(state.exercises).flat().map(exercise => exercise.name));
+    let name = baseName;
+    for (let i = 2; names.has(name); i++) {
+        name = `${baseName} (${i})`;
+    }
+    return name;
+}
+
+/**
+ * Añade a state.exercises los PDFs guardados en la biblioteca
+ */
+function loadPDFLibrary() {
+    storageGet('pdf_library', []).forEach(addPDFToLibrary);
+}
+
+function addPDFToLibrary(entry) {
+    const exercise = {
+        name: entry.name,
+        total_pages: entry.total_pages,
+        pages: [],
+        isPDF: true,
+        pdfId: entry.id
+    };
+
+    if (!state.exercises[entry.category]) state.exercises[entry.category] = [];
+    state.exercises[entry.category].push(exercise);
+    return exercise;
+}
+
+/**
+ * Abre un ejercicio de la biblioteca desde el modal de carga
+ */
+function openLibraryExercise(category, exercise) {
+    closeUploadPanel();
+    selectCategory(category);
+    selectExercise(exercise);
+}
+
+/**
+ * Elimina un PDF subido de la biblioteca
+ */
+async function deleteUploadedPDF(category, exercise) {
+    if (!confirm(`¿Eliminar "${exercise.name}" de la biblioteca?`)) return;
+
+    await storageDeletePDF(exercise.pdfId);
+    storageSet('pdf_library', storageGet('pdf_library', []).filter(entry => entry.id !== exercise.pdfId));
+
+    state.exercises[category] = state.exercises[category].filter(ex => ex !== exercise);
+    if (loadedPDF.id === exercise.pdfId) closeLoadedPDF();
+    deleteExerciseData(category, exercise.name);
+
+    // Las categorías creadas solo para PDFs subidos desaparecen al quedar vacías
+    if (state.exercises[category].length === 0 && !state.extractedCategories.includes(category)) {
+        delete state.exercises[category];
+        renderCategories();
+        showDashboard();
+    } else {
+        renderExerciseList();
+    }
+
+    showNotification('PDF eliminado', 'info');
+}
+
+/**
+ * Borra todo lo guardado de un ejercicio eliminado: dibujos, respuestas, corrección,
+ * intentos, repaso, posición y clave editada
+ */
+function deleteExerciseData(category, exerciseName) {
+    flushLabelSave();
+    getExerciseDrawingKeys(exerciseName).forEach(key => storageSetDrawing(key, null));
+
+    // Soltar también el dibujo cargado: si no, un PDF subido con el mismo nombre lo recuperaría
+    if (isExerciseDrawingKey(exerciseName, state.drawing.pageKey)) {
+        Object.assign(state.drawing, {
+            pageKey: null,
+            page: null,
+            undoStack: [],
+            redoStack: [],
+            currentStroke: null,
+            shapeDrag: null,
+            selectedShape: null,
+            backgroundImage: null
+        });
+    }
+
+    if (state.pageAnswers?.[exerciseName]) {
+        delete state.pageAnswers[exerciseName];
+        savePageAnswers();
+    }
+
+    // La última corrección deja de contar en las estadísticas
+    if (state.answeredPages[exerciseName]) {
+        const counts = countResults(state.answeredPages[exerciseName]);
+        state.stats.correct = Math.max(0, state.stats.correct - counts.correct);
+        state.stats.incorrect = Math.max(0, state.stats.incorrect - counts.incorrect);
+        delete state.answeredPages[exerciseName];
+        saveStats();
+        updateStatsDisplay();
+    }
+
+    state.attempts = state.attempts.filter(a => !(a.category === category && a.exercise === exerciseName));
+    saveAttempts();
+
+    Object.keys(state.review).forEach(key => {
+        const item = state.review[key];
+        if (item.category === category && item.exercise === exerciseName) delete state.review[key];
+    });
+    saveReview();
+    updateReviewBadge();
+
+    if (state.positions[exerciseName]) {
+        delete state.positions[exerciseName];
+        storageSet('positions', state.positions);
+    }
+
+    if (state.customAnswers[category]?.[exerciseName]) {
+        delete state.customAnswers[category][exerciseName];
+        state.answers = mergeAnswerKeys(state.fetchedAnswers, state.customAnswers);
+        saveCustomAnswers();
+    }
+
+    const expired = storageGet('scratch_expired');
+    if (expired?.[exerciseName]) {
+        const remaining = { ...expired };
+        delete remaining[exerciseName];
+        storageSet('scratch_expired', remaining);
+    }
+}
+
+// ==========================================
+// NOTES/TRUCOS FUNCTIONS
+// ==========================================
+
+let currentNoteCategory = 'general';
+
+function showNotesPanel() {
+    document.getElementById('notesModal').classList.remove('hidden');
+    loadNotes();
+}
+
+function closeNotesPanel() {
+    document.getElementById('notesModal').classList.add('hidden');
+}
+
+function selectNoteCategory(category) {
+    // Guardar notas actuales antes de cambiar
+    saveCurrentNotes();
+
+    // Cambiar categoría
+    currentNoteCategory = category;
+
+    // Actualizar UI
+    document.querySelectorAll('.note-cat-btn').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.textContent.toLowerCase().includes(category.toLowerCase())) {
+            btn.classList.add('active');
+        }
+    });
+
+    // Cargar notas de la nueva categoría
+    loadNotes();
+}
+
+function loadNotes() {
+    const notes = storageGet('notes', {});
+    const textarea = document.getElementById('notesTextarea');
+    textarea.value = notes[currentNoteCategory] || '';
+}
+
+function saveCurrentNotes() {
+    const notes = { ...storageGet('notes', {}) };
+    const textarea = document.getElementById('notesTextarea');
+    notes[currentNoteCategory] = textarea.value;
+    storageSet('notes', notes);
+}
 
-    // Event listeners para mouse
-    toolbar.addEventListener('mousedown', dragStart);
-    document.addEventListener('mousemove', drag);
-    document.addEventListener('mouseup', dragEnd);
+function saveNotes() {
+    saveCurrentNotes();
+    showNotification('Notas guardadas ✓', 'success');
+}
 
-    // Event listeners para touch (iPad / Apple Pencil)
-    toolbar.addEventListener('touchstart', dragStartTouch);
-    document.addEventListener('touchmove', dragTouch);
-    document.addEventListener('touchend', dragEndTouch);
+function clearCurrentNotes() {
+    document.getElementById('notesTextarea').value = '';
+    saveCurrentNotes();
+    showNotification('Notas limpiadas', 'info');
+}
 
-    function dragStart(e) {
-        // Solo permitir arrastre si no se está haciendo clic en un botón o control
-        if (e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT' ||
-            e.target.closest('button') || e.target.closest('input')) {
-            return;
-        }
+// ==========================================
+// BACKUP (COPIA DE SEGURIDAD)
+// ==========================================
 
-        initialX = e.clientX - toolbar.offsetLeft;
-        initialY = e.clientY - toolbar.offsetTop;
-        isDragging = true;
-        toolbar.style.cursor = 'grabbing';
+const BACKUP_VERSION = 1;
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isDateString = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isOptional = isValid => value => value === undefined || value === null || isValid(value);
+const isRecordOf = isValid => value => isPlainObject(value) && Object.values(value).every(isValid);
+
+// Un intento como lo guarda recordAttempt(): lo leen el historial y el panel de progreso
+const isValidAttempt = attempt => isPlainObject(attempt) &&
+    typeof attempt.exercise === 'string' &&
+    isOptional(value => typeof value === 'string')(attempt.category) &&
+    isDateString(attempt.date) &&
+    isPlainObject(attempt.counts) &&
+    ['correct', 'incorrect', 'blank'].every(key => isCount(attempt.counts[key])) &&
+    isFiniteNumber(attempt.score) &&
+    isOptional(isFiniteNumber)(attempt.net) &&
+    isOptional(value => isFiniteNumber(value) && value >= 0)(attempt.duration) &&
+    isOptional(isPlainObject)(attempt.questions);
+
+// Una pregunta de la cola de repaso (ver updateReviewQueue)
+const isValidReviewItem = item => isPlainObject(item) &&
+    typeof item.category === 'string' &&
+    typeof item.exercise === 'string' &&
+    Number.isInteger(item.question) && item.question > 0 &&
+    typeof item.due === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(item.due) &&
+    isFiniteNumber(item.ease) && isFiniteNumber(item.interval) &&
+    isCount(item.repetitions) && isCount(item.lapses) &&
+    isOptional(isCount)(item.page);
+
+// Datos incluidos en la copia y cómo validar cada uno
+const BACKUP_KEYS = {
+    stats: stats => isPlainObject(stats) && isCount(stats.correct) && isCount(stats.incorrect),
+    answered: isRecordOf(isRecordOf(result => isPlainObject(result) && typeof result.status === 'string')),
+    page_answers: isRecordOf(isRecordOf(option => typeof option === 'string')),
+    custom_answers: isPlainObject,
+    attempts: attempts => Array.isArray(attempts) && attempts.every(isValidAttempt),
+    review: isRecordOf(isValidReviewItem),
+    positions: isRecordOf(position => isPlainObject(position) &&
+        Number.isInteger(position.page) && position.page >= 1 &&
+        isOptional(isFiniteNumber)(position.zoom) &&
+        isOptional(isCount)(position.seconds)),
+    scratch_expired: isPlainObject,
+    scoring: isPlainObject,
+    notes: isPlainObject,
+    quick_notes_text: value => typeof value === 'string',
+    quick_notes_drawing: value => typeof value === 'string',
+    brush_sizes: isPlainObject,
+    pencil_only: value => typeof value === 'boolean',
+    drawing_layers: isPlainObject,
+    darkmode: value => typeof value === 'boolean',
+    sidebar_collapsed: value => typeof value === 'boolean',
+    notes_panel_state: isPlainObject
+};
+
+// Preferencias del dispositivo: al combinar se conservan las actuales
+const BACKUP_PREFERENCE_KEYS = ['brush_sizes', 'pencil_only', 'drawing_layers', 'darkmode', 'sidebar_collapsed', 'notes_panel_state'];
+
+// Copia leída pendiente de importar
+let pendingBackup = null;
+
+function showBackupPanel() {
+    const lastBackup = storageGet('last_backup_at');
+    document.getElementById('backupLastExport').textContent = lastBackup
+        ? `Última copia exportada: ${new Date(lastBackup).toLocaleString('es-ES')}`
+        : 'Aún no has exportado ninguna copia.';
+    resetBackupImport();
+    document.getElementById('backupModal').classList.remove('hidden');
+}
+
+function closeBackupPanel() {
+    document.getElementById('backupModal').classList.add('hidden');
+    resetBackupImport();
+}
+
+/**
+ * Construye el archivo de copia con todos los datos del usuario
+ */
+function buildBackupFile() {
+    const { kv, drawings } = storageSnapshot();
+    const data = {};
+
+    Object.keys(BACKUP_KEYS).forEach(key => {
+        if (kv[key] !== undefined) data[key] = kv[key];
+    });
+
+    return {
+        app: 'psicotrain',
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        data,
+        drawings,
+        // Los PDFs no viajan en la copia: se anotan para saber qué datos son suyos al importar
+        uploadedExercises: storageGet('pdf_library', []).map(entry => entry.name)
+    };
+}
+
+/**
+ * Descarga la copia de seguridad
+ */
+function exportBackup() {
+    const backup = buildBackupFile();
+    const json = JSON.stringify(backup);
+    const fileName = `psicotrain-copia-${toDayKey(new Date())}.json`;
+
+    downloadFile(new Blob([json], { type: 'application/json' }), fileName);
+    storageSet('last_backup_at', backup.exportedAt);
+    document.getElementById('backupLastExport').textContent =
+        `Última copia exportada: ${new Date(backup.exportedAt).toLocaleString('es-ES')}`;
+    showNotification('Copia de seguridad exportada', 'success');
+}
+
+/**
+ * Comprueba que un archivo de copia tiene el formato esperado.
+ * Devuelve {kv, drawings, exportedAt} o lanza un Error con el motivo.
+ */
+function validateBackup(raw) {
+    if (!isPlainObject(raw) || raw.app !== 'psicotrain') {
+        throw new Error('El archivo no es una copia de PsicoTrain');
+    }
+    if (!Number.isInteger(raw.version) || raw.version < 1) {
+        throw new Error('La copia no indica una versión válida');
+    }
+    if (raw.version > BACKUP_VERSION) {
+        throw new Error('La copia se creó con una versión más reciente de la app');
+    }
+    if (!isPlainObject(raw.data)) {
+        throw new Error('La copia no contiene datos');
     }
 
-    function dragStartTouch(e) {
-        // Solo permitir arrastre si no se está tocando un botón o control
-        if (e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT' ||
-            e.target.closest('button') || e.target.closest('input')) {
-            return;
+    const kv = {};
+    Object.entries(BACKUP_KEYS).forEach(([key, isValid]) => {
+        if (raw.data[key] === undefined) return;
+        if (!isValid(raw.data[key])) {
+            throw new Error(`Dato no válido en la copia: ${key}`);
         }
+        kv[key] = raw.data[key];
+    });
 
-        const touch = e.touches[0];
-        initialX = touch.clientX - toolbar.offsetLeft;
-        initialY = touch.clientY - toolbar.offsetTop;
-        isDragging = true;
+    const drawings = raw.drawings ?? {};
+    if (!isPlainObject(drawings)) {
+        throw new Error('Dato no válido en la copia: drawings');
     }
+    Object.entries(drawings).forEach(([key, value]) => {
+        // Dibujos antiguos (PNG) o vectoriales ({strokes: [...]})
+        const valid = typeof value === 'string'
+            ? value.startsWith('data:image/')
+            : isPlainObject(value) && Array.isArray(value.strokes);
+        if (!valid) {
+            throw new Error(`Dibujo no válido en la copia: ${key}`);
+        }
+    });
 
-    function drag(e) {
-        if (isDragging) {
-            e.preventDefault();
+    const uploadedExercises = raw.uploadedExercises ?? [];
+    if (!Array.isArray(uploadedExercises) || !uploadedExercises.every(name => typeof name === 'string')) {
+        throw new Error('Dato no válido en la copia: uploadedExercises');
+    }
 
-            currentX = e.clientX - initialX;
-            currentY = e.clientY - initialY;
+    return { kv, drawings, uploadedExercises, exportedAt: raw.exportedAt };
+}
 
-            // Limitar a los bordes de la ventana
-            const maxX = window.innerWidth - toolbar.offsetWidth;
-            const maxY = window.innerHeight - toolbar.offsetHeight;
+/**
+ * PDFs subidos en el dispositivo de origen que no están en la biblioteca de este
+ */
+function getMissingUploadedExercises(backup) {
+    const library = new Set(storageGet('pdf_library', []).map(entry => entry.name));
+    return backup.uploadedExercises.filter(name => !library.has(name));
+}
 
-            currentX = Math.max(0, Math.min(currentX, maxX));
-            currentY = Math.max(0, Math.min(currentY, maxY));
+/**
+ * Quita de la copia los datos de PDFs subidos que no existen aquí: sin el PDF
+ * quedarían dibujos, intentos y repasos apuntando a un ejercicio inexistente
+ */
+function skipMissingUploadedExercises(backup) {
+    const missing = new Set(getMissingUploadedExercises(backup));
+    if (missing.size === 0) return backup;
+
+    const kv = { ...backup.kv };
+    const withoutMissing = data => Object.fromEntries(Object.entries(data).filter(([name]) => !missing.has(name)));
+
+    // Sus últimas correcciones dejan de contar en las estadísticas
+    if (kv.stats && kv.answered) {
+        const removed = { correct: 0, incorrect: 0 };
+        Object.keys(kv.answered).filter(name => missing.has(name)).forEach(name => {
+            const counts = countResults(kv.answered[name]);
+            removed.correct += counts.correct;
+            removed.incorrect += counts.incorrect;
+        });
+        kv.stats = {
+            ...kv.stats,
+            correct: Math.max(0, (kv.stats.correct || 0) - removed.correct),
+            incorrect: Math.max(0, (kv.stats.incorrect || 0) - removed.incorrect)
+        };
+    }
 
-            toolbar.style.left = currentX + 'px';
-            toolbar.style.top = currentY + 'px';
-            toolbar.style.bottom = 'auto';
-        }
+    ['answered', 'page_answers', 'positions', 'scratch_expired'].forEach(key => {
+        if (kv[key]) kv[key] = withoutMissing(kv[key]);
+    });
+    if (kv.custom_answers) {
+        kv.custom_answers = Object.fromEntries(Object.entries(kv.custom_answers)
+            .map(([category, exercises]) => [category, withoutMissing(exercises || {})]));
+    }
+    if (kv.attempts) kv.attempts = kv.attempts.filter(attempt => !missing.has(attempt.exercise));
+    if (kv.review) {
+        kv.review = Object.fromEntries(Object.entries(kv.review).filter(([, item]) => !missing.has(item.exercise)));
     }
 
-    function dragTouch(e) {
-        if (isDragging) {
-            e.preventDefault();
+    const drawings = Object.fromEntries(Object.entries(backup.drawings)
+        .filter(([key]) => ![...missing].some(name => isExerciseDrawingKey(name, key))));
 
-            const touch = e.touches[0];
-            currentX = touch.clientX - initialX;
-            currentY = touch.clientY - initialY;
+    return { ...backup, kv, drawings };
+}
 
-            // Limitar a los bordes de la ventana
-            const maxX = window.innerWidth - toolbar.offsetWidth;
-            const maxY = window.innerHeight - toolbar.offsetHeight;
+/**
+ * Lee y valida el archivo elegido; si es correcto muestra las opciones de importación
+ */
+async function handleBackupFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
 
-            currentX = Math.max(0, Math.min(currentX, maxX));
-            currentY = Math.max(0, Math.min(currentY, maxY));
+    try {
+        pendingBackup = validateBackup(JSON.parse(await file.text()));
+    } catch (error) {
+        pendingBackup = null;
+        const message = error instanceof SyntaxError ? 'El archivo no es un JSON válido' : error.message;
+        showNotification(message, 'warning');
+        return;
+    }
 
-            toolbar.style.left = currentX + 'px';
-            toolbar.style.top = currentY + 'px';
-            toolbar.style.bottom = 'auto';
-        }
+    const { kv, drawings, exportedAt } = pendingBackup;
+    const attempts = kv.attempts?.length || 0;
+    const exercises = Object.keys(kv.page_answers || {}).length;
+    const date = exportedAt ? new Date(exportedAt).toLocaleString('es-ES') : 'fecha desconocida';
+    const missing = getMissingUploadedExercises(pendingBackup);
+
+    document.getElementById('backupImportSummary').innerHTML = `
+        <strong>${escapeHTML(file.name)}</strong> (${date})<br>
+        ${exercises} ejercicios con respuestas · ${attempts} intentos · ${Object.keys(drawings).length} páginas con dibujos
+        ${missing.length ? `<br>⚠️ No se importarán los datos de ${missing.length === 1 ? 'un PDF subido que no está' : `${missing.length} PDFs subidos que no están`}
+            en este dispositivo (${missing.map(escapeHTML).join(', ')}). Súbelos antes para conservarlos.` : ''}
+    `;
+    document.getElementById('backupImportOptions').classList.remove('hidden');
+}
+
+function resetBackupImport() {
+    pendingBackup = null;
+    document.getElementById('backupImportOptions').classList.add('hidden');
+    document.getElementById('backupImportSummary').innerHTML = '';
+}
+
+/**
+ * Combina la copia con los datos actuales; en caso de conflicto prevalece la copia
+ */
+function mergeBackupData(current, incoming) {
+    const kv = { ...current.kv };
+
+    Object.entries(incoming.kv).forEach(([key, value]) => {
+        if (BACKUP_PREFERENCE_KEYS.includes(key) && kv[key] !== undefined) return;
+        kv[key] = value;
+    });
+
+    // Respuestas, correcciones, notas y repaso: por ejercicio / categoría / pregunta
+    ['answered', 'page_answers', 'notes', 'review', 'positions', 'scratch_expired'].forEach(key => {
+        if (incoming.kv[key]) kv[key] = { ...current.kv[key], ...incoming.kv[key] };
+    });
+
+    if (incoming.kv.custom_answers) {
+        kv.custom_answers = { ...current.kv.custom_answers };
+        Object.entries(incoming.kv.custom_answers).forEach(([category, exercises]) => {
+            kv.custom_answers[category] = { ...kv.custom_answers[category], ...exercises };
+        });
     }
 
-    function dragEnd() {
-        if (isDragging) {
-            isDragging = false;
-            toolbar.style.cursor = 'move';
-        }
+    if (incoming.kv.scoring) {
+        const currentScoring = current.kv.scoring || {};
+        kv.scoring = {
+            ...currentScoring,
+            ...incoming.kv.scoring,
+            categories: { ...currentScoring.categories, ...incoming.kv.scoring.categories }
+        };
     }
 
-    function dragEndTouch() {
-        if (isDragging) {
-            isDragging = false;
-        }
+    // Intentos: unión sin duplicados, en orden cronológico
+    if (incoming.kv.attempts) {
+        const byId = new Map();
+        [...(current.kv.attempts || []), ...incoming.kv.attempts].forEach(attempt => {
+            byId.set(attempt.id, attempt);
+        });
+        kv.attempts = [...byId.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    // Estadísticas: descontar las correcciones actuales que la copia sustituye
+    if (incoming.kv.stats) {
+        const currentStats = current.kv.stats || { correct: 0, incorrect: 0 };
+        const replaced = { correct: 0, incorrect: 0 };
+        Object.keys(incoming.kv.answered || {}).forEach(exerciseName => {
+            const counts = countResults((current.kv.answered || {})[exerciseName]);
+            replaced.correct += counts.correct;
+            replaced.incorrect += counts.incorrect;
+        });
+        kv.stats = {
+            correct: Math.max(0, currentStats.correct - replaced.correct) + (incoming.kv.stats.correct || 0),
+            incorrect: Math.max(0, currentStats.incorrect - replaced.incorrect) + (incoming.kv.stats.incorrect || 0)
+        };
+    }
+
+    // Notas rápidas: conservar ambos textos si son distintos
+    const currentText = current.kv.quick_notes_text;
+    const incomingText = incoming.kv.quick_notes_text;
+    if (currentText && incomingText && !currentText.includes(incomingText)) {
+        kv.quick_notes_text = `${currentText}\n\n${incomingText}`;
+    }
+
+    return {
+        kv,
+        drawings: { ...current.drawings, ...incoming.drawings }
+    };
+}
+
+/**
+ * Importa la copia pendiente combinándola o sustituyendo los datos actuales
+ */
+async function importBackup(mode) {
+    if (!pendingBackup) return;
+    if (storage.backend === 'unavailable') {
+        showNotification('No se puede importar: tus datos guardados no se han podido abrir. Recarga la app', 'warning');
+        return;
+    }
+    if (state.exam.active) {
+        showNotification('Termina el simulacro antes de importar una copia', 'warning');
+        return;
+    }
+    if (mode === 'replace' &&
+        !confirm('Se borrarán todos tus datos actuales y se sustituirán por los de la copia. ¿Continuar?')) {
+        return;
+    }
+
+    const current = storageSnapshot();
+    const backup = skipMissingUploadedExercises(pendingBackup);
+    const { kv, drawings } = mode === 'replace'
+        ? backup
+        : mergeBackupData(current, backup);
+
+    // Conservar datos internos que no viajan en la copia (los PDFs subidos siguen en su almacén)
+    ['last_backup_at', 'pdf_library'].forEach(key => {
+        if (current.kv[key] !== undefined) kv[key] = current.kv[key];
+    });
+
+    try {
+        await storageReplaceAll(kv, drawings);
+    } catch (error) {
+        console.error('Error importando la copia:', error);
+        showNotification('No se pudo importar la copia: almacenamiento lleno', 'warning');
+        return;
+    }
+
+    showNotification('Copia importada. Recargando…', 'success');
+    setTimeout(() => location.reload(), 800);
+}
+
+// ==========================================
+// DESCARGAS SIN CONEXIÓN
+// ==========================================
+
+// Espera máxima (ms) a que el service worker esté activo
+const SERVICE_WORKER_READY_TIMEOUT = 5000;
+
+/**
+ * Escucha los mensajes del service worker sobre las descargas (ver sw.js)
+ */
+function initOfflineDownloads() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', handleOfflineMessage);
+}
+
+/**
+ * Envía un mensaje al service worker activo
+ */
+async function postToServiceWorker(message) {
+    if (!('serviceWorker' in navigator)) {
+        showNotification('Este navegador no permite descargar para usar sin conexión', 'warning');
+        return false;
+    }
+
+    // Si el registro falló, `ready` no se resuelve nunca
+    const registration = await Promise.race([
+        navigator.serviceWorker.ready,
+        new Promise(resolve => setTimeout(() => resolve(null), SERVICE_WORKER_READY_TIMEOUT))
+    ]);
+    if (!registration?.active) {
+        showNotification('El modo sin conexión no está disponible: recarga la app e inténtalo de nuevo', 'warning');
+        return false;
     }
 
-    // Cambiar cursor para indicar que se puede arrastrar
-    toolbar.style.cursor = 'move';
-    toolbarDragInitialized = true;
+    registration.active.postMessage(message);
+    return true;
+}
+
+function handleOfflineMessage(event) {
+    const message = event.data || {};
+    const offline = state.offline;
+
+    if (message.type === 'offline-status') {
+        offline.categories = message.categories;
+        offline.downloading = message.downloading;
+    } else if (message.type === 'offline-progress') {
+        offline.downloading = message.category;
+        offline.categories[message.category] = { cached: message.done, total: message.total };
+    } else if (message.type === 'offline-complete') {
+        showNotification(message.failed > 0
+            ? `${message.category}: ${message.failed} imágenes no se pudieron descargar`
+            : `${message.category} disponible sin conexión ✈️`, message.failed > 0 ? 'warning' : 'success');
+    } else if (message.type === 'offline-error') {
+        offline.downloading = null;
+        showNotification(`Descarga sin conexión: ${message.message}`, 'warning');
+    } else {
+        return;
+    }
+
+    renderOfflinePanel();
+    if (message.type !== 'offline-progress') updateStorageUsage();
+}
+
+function showOfflinePanel() {
+    document.getElementById('offlineModal').classList.remove('hidden');
+    renderOfflinePanel();
+    updateStorageUsage();
+    postToServiceWorker({ type: 'offline-status' });
+}
+
+function closeOfflinePanel() {
+    document.getElementById('offlineModal').classList.add('hidden');
+}
+
+/**
+ * Descarga una categoría (o todas, sin argumento) para estudiar sin conexión
+ */
+async function downloadOfflineCategory(category = null) {
+    // Pedir almacenamiento persistente para que el navegador no borre las imágenes
+    if (navigator.storage?.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+
+    if (await postToServiceWorker({ type: 'offline-download', category })) {
+        state.offline.downloading = category || state.extractedCategories[0] || null;
+        renderOfflinePanel();
+    }
+}
+
+function evictOfflineCategory(category) {
+    if (!confirm(`¿Liberar el espacio de "${category}"? Las imágenes se volverán a descargar al verlas.`)) return;
+    postToServiceWorker({ type: 'offline-evict', category });
+}
+
+/**
+ * Lista de categorías con su progreso de descarga
+ */
+function renderOfflinePanel() {
+    const list = document.getElementById('offlineCategoryList');
+    if (!list || document.getElementById('offlineModal').classList.contains('hidden')) return;
+
+    const { categories, downloading } = state.offline;
+    list.innerHTML = '';
+
+    if (state.extractedCategories.length === 0) {
+        list.innerHTML = '<p class="history-empty">No hay ejercicios extraídos en data/exercises.json.</p>';
+        return;
+    }
+
+    state.extractedCategories.forEach(category => {
+        const status = categories[category];
+        const percent = status?.total ? Math.round((status.cached / status.total) * 100) : 0;
+        const complete = status && status.total > 0 && status.cached === status.total;
+
+        const row = document.createElement('div');
+        row.className = 'offline-row';
+        row.innerHTML = `
+            <div class="offline-row-header">
+                <strong>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</strong>
+                <span class="offline-count">${status ? `${status.cached} / ${status.total} imágenes` : '…'}</span>
+            </div>
+            <div class="offline-progress"><div class="offline-progress-bar" style="width: ${percent}%"></div></div>
+            <div class="offline-row-actions">
+                <button class="btn-small offline-download">${downloading === category ? '⏳ Descargando…' : complete ? '✓ Descargada' : '⬇ Descargar'}</button>
+                <button class="btn-small offline-evict">🗑 Liberar</button>
+            </div>
+        `;
+
+        const downloadBtn = row.querySelector('.offline-download');
+        downloadBtn.disabled = Boolean(downloading) || complete;
+        downloadBtn.addEventListener('click', () => downloadOfflineCategory(category));
+
+        const evictBtn = row.querySelector('.offline-evict');
+        evictBtn.disabled = Boolean(downloading) || !status?.cached;
+        evictBtn.addEventListener('click', () => evictOfflineCategory(category));
+
+        list.appendChild(row);
+    });
+
+    const allBtn = document.getElementById('offlineDownloadAllBtn');
+    if (allBtn) allBtn.disabled = Boolean(downloading);
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Muestra el espacio que ocupa la app (imágenes, PDFs y datos) frente al disponible
+ */
+async function updateStorageUsage() {
+    const usage = document.getElementById('offlineStorageUsage');
+    if (!usage) return;
+
+    if (!navigator.storage?.estimate) {
+        usage.textContent = 'El navegador no informa del espacio usado.';
+        return;
+    }
+
+    const estimate = await navigator.storage.estimate();
+    usage.textContent = `Espacio usado: ${formatBytes(estimate.usage || 0)} de ${formatBytes(estimate.quota || 0)} disponibles`;
+}
+
+// ==========================================
+// ACTUALIZACIONES DE LA APP
+// ==========================================
+
+let waitingServiceWorker = null;
+let reloadingForUpdate = false;
+
+/**
+ * Registra el service worker y avisa cuando hay una versión nueva esperando
+ */
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js')
+        .then(registration => {
+            console.log('Service Worker registrado:', registration.scope);
+
+            // Una versión nueva ya instalada en una visita anterior
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Sin controller es la primera instalación, no una actualización
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(worker);
+                    }
+                });
+            });
+
+            // Buscar versiones nuevas al volver a la app
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') registration.update().catch(() => {});
+            });
+        })
+        .catch(err => console.error('Error al registrar Service Worker:', err));
+
+    // Sin controller al cargar, el primer controllerchange es la instalación inicial
+    let hadController = Boolean(navigator.serviceWorker.controller);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadingForUpdate) {
+            window.location.reload();
+            return;
+        }
+        // Otra pestaña ha activado la versión nueva: esta sigue con el código anterior
+        if (hadController) showUpdateBanner(null);
+        hadController = true;
+    });
+}
+
+/**
+ * `worker` es la versión que espera; null si ya se activó desde otra pestaña y solo falta recargar
+ */
+function showUpdateBanner(worker) {
+    waitingServiceWorker = worker;
+    document.getElementById('updateBannerText').textContent = worker
+        ? '🔄 Hay una nueva versión de PsicoTrain'
+        : '🔄 PsicoTrain se ha actualizado en otra pestaña';
+    document.getElementById('updateBannerBtn').textContent = worker ? 'Actualizar' : 'Recargar';
+    document.getElementById('updateBanner').classList.remove('hidden');
 }
 
+function dismissUpdateBanner() {
+    document.getElementById('updateBanner').classList.add('hidden');
+}
 
 /**
- * Dibuja en el canvas
+ * Activa la versión nueva; al tomar el control se recarga la página
  */
-function draw(e) {
-    if (!state.drawing.isDrawing || !state.drawing.enabled) return;
+function applyUpdate() {
+    if (state.exam.active && !confirm('Actualizar recargará la app y abandonará el simulacro. ¿Continuar?')) return;
 
-    const ctx = state.drawing.ctx;
-    const coords = getCanvasCoords(e);
+    reloadingForUpdate = true;
+    dismissUpdateBanner();
 
-    ctx.beginPath();
-    ctx.moveTo(state.drawing.lastX, state.drawing.lastY);
-    ctx.lineTo(coords.x, coords.y);
+    // Ya activa (desde otra pestaña, o mientras el aviso estaba abierto): basta con recargar
+    if (!waitingServiceWorker || waitingServiceWorker.state === 'activated') {
+        window.location.reload();
+        return;
+    }
+    waitingServiceWorker.postMessage({ type: 'skip-waiting' });
+}
+
+// ==========================================
+// PDF.JS DIRECT VIEWING
+// ==========================================
 
-    // Obtener el grosor actual de la herramienta
-    const currentBrushSize = state.drawing.brushSizes[state.drawing.tool] || 4;
+// PDF.js (3.11.174) va incluido en vendor/pdfjs y solo se descarga al abrir o subir un PDF
+const PDFJS_SRC = 'vendor/pdfjs/pdf.min.js';
+const PDFJS_WORKER_SRC = 'vendor/pdfjs/pdf.worker.min.js';
+let pdfjsLoading = null;
 
-    // Configurar estilo según herramienta
-    if (state.drawing.tool === 'eraser') {
-        ctx.globalCompositeOperation = 'destination-out';
-        ctx.strokeStyle = 'rgba(0,0,0,1)';
-        ctx.lineWidth = currentBrushSize;
-    } else if (state.drawing.tool === 'highlighter') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = hexToRgba(state.drawing.color, 0.3);
-        ctx.lineWidth = currentBrushSize;
-    } else {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = state.drawing.color;
-        ctx.lineWidth = currentBrushSize;
+/**
+ * Carga PDF.js la primera vez que se necesita y configura su worker
+ */
+function loadPDFJS() {
+    if (typeof pdfjsLib !== 'undefined') return Promise.resolve(pdfjsLib);
+
+    if (!pdfjsLoading) {
+        pdfjsLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_SRC;
+            script.onload = () => {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+                resolve(pdfjsLib);
+            };
+            script.onerror = () => {
+                // Permitir reintentarlo (p. ej. al recuperar la conexión)
+                pdfjsLoading = null;
+                script.remove();
+                reject(new Error('No se pudo cargar PDF.js'));
+            };
+            document.head.appendChild(script);
+        });
     }
 
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.stroke();
+    return pdfjsLoading;
+}
+
+// Las páginas PDF miden siempre lo que medían renderizadas a escala 3: en ese espacio
+// se guardan los dibujos y el zoom. La imagen se renderiza a la resolución que necesita
+// la pantalla (devicePixelRatio y zoom).
+const PDF_PAGE_SCALE = 3;
+const PDF_MIN_RENDER_SCALE = 1;
+const PDF_MAX_RENDER_SCALE = 6;               // Con mucho zoom
+const PDF_MAX_RENDER_PIXELS = 16 * 1024 * 1024; // Límite de tamaño de canvas de Safari en iPad
+const PDF_PREVIEW_SCALE = 0.75;               // Vista rápida mientras llega la de alta resolución
+const PDF_ZOOM_RENDER_DELAY = 300;            // ms sin cambiar el zoom antes de re-renderizar
+const PDF_CACHE_BUDGET = 96 * 1024 * 1024; // Memoria de las páginas decodificadas (ancho × alto × 4 bytes)
+const PDF_RENDER_WORKER_SRC = 'pdf-render-worker.js';
 
-    state.drawing.lastX = coords.x;
-    state.drawing.lastY = coords.y;
+// Estado del PDF cargado
+let loadedPDF = {
+    id: null,          // pdfId del ejercicio de la biblioteca (null si no se guardó)
+    document: null,
+    currentPage: 1,
+    requestedPage: null, // Última página pedida por el usuario
+    totalPages: 0,
+    fileName: '',
+    pageCache: new Map(),   // Páginas renderizadas, de la menos a la más usada (LRU)
+    cacheBytes: 0,
+    renderTasks: new Map(), // Renderizados en curso por página
+    renderDocId: 0          // Documento abierto en el worker de renderizado
+};
+
+// Worker que renderiza las páginas con OffscreenCanvas (pdf-render-worker.js)
+let pdfRenderWorker = {
+    worker: null,
+    failed: false,       // Tras un error se renderiza en el hilo principal
+    nextId: 1,
+    pending: new Map()   // id -> {resolve, reject}
+};
+let pdfZoomRenderTimer = null;
+
+/**
+ * Abre el PDF de la biblioteca de un ejercicio si no es el que está cargado
+ */
+async function ensurePDFLoaded(exercise) {
+    // PDFs abiertos sin guardar: ya están cargados
+    if (!exercise.pdfId || loadedPDF.id === exercise.pdfId) return;
+
+    const data = await storageGetPDF(exercise.pdfId);
+    if (!data) throw new Error(`PDF no encontrado: ${exercise.name}`);
+
+    await loadPDFJS();
+    // pdf.js se queda con el buffer que recibe: el worker de renderizado necesita su copia
+    const workerData = canUseRenderWorker() ? data.slice(0) : null;
+    const pdf = await pdfjsLib.getDocument({ data }).promise;
+
+    closeLoadedPDF();
+    loadedPDF.id = exercise.pdfId;
+    loadedPDF.document = pdf;
+    loadedPDF.totalPages = pdf.numPages;
+    loadedPDF.currentPage = 1;
+    loadedPDF.fileName = exercise.name;
+    if (workerData) openPDFInRenderWorker(workerData);
 }
 
 /**
- * Detiene el dibujo y guarda
+ * Libera el PDF cargado y su caché de páginas
  */
-function stopDrawing() {
-    if (state.drawing.isDrawing) {
-        state.drawing.isDrawing = false;
-        saveDrawing();
+function closeLoadedPDF() {
+    // Al cerrar el PDF se cancela todo, también lo que renderiza la exportación
+    loadedPDF.renderTasks.forEach(render => render.cancel());
+    clearTimeout(pdfZoomRenderTimer);
+    if (loadedPDF.renderDocId && pdfRenderWorker.worker) {
+        pdfRenderWorker.worker.postMessage({ type: 'close', docId: loadedPDF.renderDocId });
     }
+    loadedPDF.renderDocId = 0;
+    if (loadedPDF.document) loadedPDF.document.destroy();
+    loadedPDF.id = null;
+    loadedPDF.document = null;
+    loadedPDF.requestedPage = null;
+    loadedPDF.totalPages = 0;
+    loadedPDF.pageCache.forEach(image => URL.revokeObjectURL(image.url));
+    loadedPDF.pageCache.clear();
+    loadedPDF.cacheBytes = 0;
 }
 
 /**
- * Obtiene coordenadas del canvas teniendo en cuenta el zoom
- * Soporta tanto eventos de mouse como touch (Apple Pencil y dedos)
+ * Muestra una página de un ejercicio PDF (usado por loadPage)
  */
-function getCanvasCoords(e) {
-    const canvas = state.drawing.canvas;
-    const rect = canvas.getBoundingClientRect();
-
-    let clientX, clientY;
-
-    // Determinar si es un evento touch o mouse
-    if (e.touches && e.touches.length > 0) {
-        // Es un evento touch (puede ser Apple Pencil o dedo)
-        const touch = e.touches[0];
-        clientX = touch.clientX;
-        clientY = touch.clientY;
-    } else if (e.clientX !== undefined && e.clientY !== undefined) {
-        // Es un evento mouse o MouseEvent sintético
-        clientX = e.clientX;
-        clientY = e.clientY;
-    } else {
-        // Fallback por si acaso
-        return { x: 0, y: 0 };
+async function showPDFPage(exercise, pageNum) {
+    try {
+        await ensurePDFLoaded(exercise);
+    } catch (error) {
+        console.error('Error abriendo PDF:', error);
+        showNotification('No se pudo abrir el PDF', 'error');
+        return;
     }
 
-    // El canvas tiene las dimensiones naturales de la imagen
-    // pero se escala visualmente con transform: scale()
-    // Por lo tanto, necesitamos ajustar las coordenadas según el zoom
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
+    // El usuario ha cambiado de ejercicio mientras se abría
+    if (state.currentExercise !== exercise) return;
 
-    return {
-        x: (clientX - rect.left) * scaleX,
-        y: (clientY - rect.top) * scaleY
-    };
+    await renderPDFPage(pageNum);
+    preloadAdjacentPages(pageNum);
 }
 
 /**
- * Maneja touch start (Apple Pencil o dedo)
+ * Abre un PDF sin guardarlo (navegadores sin IndexedDB)
  */
-function handleTouchStart(e) {
-    e.preventDefault();
+async function loadPDFFromFile(file) {
+    try {
+        showNotification('Cargando PDF...', 'info');
 
-    // Detectar si es Apple Pencil
-    const touch = e.touches[0];
-    const isApplePencil = touch.touchType === 'stylus';
+        await loadPDFJS();
+        const arrayBuffer = await file.arrayBuffer();
+        const workerData = canUseRenderWorker() ? arrayBuffer.slice(0) : null;
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 
-    // Si es Apple Pencil, podríamos ajustar el grosor o comportamiento
-    // Por ahora, simplemente iniciamos el dibujo normalmente
-    if (!state.drawing.enabled) return;
+        closeLoadedPDF();
+        loadedPDF.document = pdf;
+        loadedPDF.totalPages = pdf.numPages;
+        loadedPDF.currentPage = 1;
+        loadedPDF.fileName = file.name;
+        if (workerData) openPDFInRenderWorker(workerData);
 
-    state.drawing.isDrawing = true;
-    const coords = getCanvasCoords(e);
-    state.drawing.lastX = coords.x;
-    state.drawing.lastY = coords.y;
+        // Cerrar modal de upload
+        closeUploadPanel();
+
+        // Crear ejercicio temporal
+        state.currentExercise = {
+            name: file.name.replace(/\.pdf$/i, ''),
+            total_pages: pdf.numPages,
+            pages: [],
+            isPDF: true,
+            pdfId: null
+        };
+        state.currentPage = 1;
+        state.zoomLevel = 1;
+
+        // Mostrar visor
+        document.getElementById('breadcrumb').innerHTML = `
+            <span>📄 PDF Cargado</span>
+            <span> › </span>
+            <strong>${escapeHTML(file.name)}</strong>
+        `;
+
+        showScreen('exerciseViewerScreen');
+        loadPage();
+
+        showNotification(`PDF cargado: ${pdf.numPages} páginas`, 'success');
+
+    } catch (error) {
+        console.error('Error cargando PDF:', error);
+        showNotification('Error al cargar el PDF', 'error');
+    }
 }
 
-/**
- * Maneja touch move (Apple Pencil o dedo)
- */
-function handleTouchMove(e) {
-    e.preventDefault();
+// Renderizar página del PDF con mejor calidad y caché
+async function renderPDFPage(pageNum) {
+    if (!loadedPDF.document) return;
 
-    if (!state.drawing.isDrawing || !state.drawing.enabled) return;
+    // Al pasar páginas rápido, dejar de renderizar las que ya no se van a ver
+    loadedPDF.requestedPage = pageNum;
+    cancelPDFRenders([pageNum]);
 
-    const ctx = state.drawing.ctx;
-    const coords = getCanvasCoords(e);
+    const scale = getPDFRenderScale();
 
-    ctx.beginPath();
-    ctx.moveTo(state.drawing.lastX, state.drawing.lastY);
-    ctx.lineTo(coords.x, coords.y);
+    try {
+        // Primero una versión de baja resolución, que se renderiza enseguida
+        if (!loadedPDF.pageCache.has(pageNum) && scale > PDF_PREVIEW_SCALE) {
+            const preview = await getPDFPageImage(pageNum, PDF_PREVIEW_SCALE);
+            if (loadedPDF.requestedPage !== pageNum) return;
+            showPDFPageImage(pageNum, preview);
+        }
 
-    // Obtener el grosor actual de la herramienta
-    const currentBrushSize = state.drawing.brushSizes[state.drawing.tool] || 4;
+        const image = await getPDFPageImage(pageNum, scale);
+        if (loadedPDF.requestedPage !== pageNum) return;
+        showPDFPageImage(pageNum, image);
 
-    // Configurar estilo según herramienta
-    if (state.drawing.tool === 'eraser') {
-        ctx.globalCompositeOperation = 'destination-out';
-        ctx.strokeStyle = 'rgba(0,0,0,1)';
-        ctx.lineWidth = currentBrushSize;
-    } else if (state.drawing.tool === 'highlighter') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = hexToRgba(state.drawing.color, 0.3);
-        ctx.lineWidth = currentBrushSize;
-    } else {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = state.drawing.color;
-        ctx.lineWidth = currentBrushSize;
+    } catch (error) {
+        if (!isRenderCancelled(error)) console.error('Error renderizando página:', error);
     }
+}
 
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.stroke();
+function showPDFPageImage(pageNum, image) {
+    const img = document.getElementById('exerciseImage');
+    if (img.getAttribute('src') !== image.url) setExerciseImage(image.url, image);
+
+    updatePageIndicator(pageNum);
 
-    state.drawing.lastX = coords.x;
-    state.drawing.lastY = coords.y;
+    loadedPDF.currentPage = pageNum;
+    state.currentPage = pageNum;
 }
 
 /**
- * Limpia el dibujo actual
+ * Al ampliar por encima de la resolución de la página a la vista, renderizarla de nuevo
+ * cuando el zoom deje de cambiar (llamado desde updateZoom)
  */
-function clearDrawing() {
-    const canvas = state.drawing.canvas;
-    const ctx = state.drawing.ctx;
+function schedulePDFZoomRender() {
+    if (!state.currentExercise?.isPDF || !loadedPDF.document) return;
+
+    clearTimeout(pdfZoomRenderTimer);
+    pdfZoomRenderTimer = setTimeout(() => {
+        const pageNum = loadedPDF.currentPage;
+        const cached = loadedPDF.pageCache.get(pageNum);
+        if (loadedPDF.requestedPage === pageNum && cached && cached.scale < getPDFRenderScale()) {
+            renderPDFPage(pageNum);
+        }
+    }, PDF_ZOOM_RENDER_DELAY);
+}
 
-    if (canvas && ctx) {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        saveDrawing();
-        showNotification('Dibujo borrado', 'info');
-    }
+/**
+ * Escala de renderizado para que la página se vea nítida en esta pantalla con el zoom actual
+ */
+function getPDFRenderScale() {
+    const scale = PDF_PAGE_SCALE * state.zoomLevel * (window.devicePixelRatio || 1);
+    // En pasos de 0.25 para no volver a renderizar por cambios mínimos de zoom
+    return Math.min(PDF_MAX_RENDER_SCALE, Math.max(PDF_MIN_RENDER_SCALE, Math.ceil(scale * 4) / 4));
 }
 
 /**
- * Guarda el dibujo actual
+ * Imagen de una página del PDF cargado, desde la caché o renderizándola.
+ * Devuelve {url, bytes, scale, width, height}; width/height son el tamaño de la página
+ * (escala PDF_PAGE_SCALE), que puede no coincidir con la resolución de la imagen.
  */
-function saveDrawing() {
-    if (!state.currentExercise || !state.drawing.canvas) return;
+async function getPDFPageImage(pageNum, minScale = getPDFRenderScale(), { cancellable = true } = {}) {
+    const cached = loadedPDF.pageCache.get(pageNum);
+    if (cached && cached.scale >= minScale) {
+        // Pasa a ser la más usada
+        loadedPDF.pageCache.delete(pageNum);
+        loadedPDF.pageCache.set(pageNum, cached);
+        return cached;
+    }
 
-    const key = `${state.currentExercise.name}_${state.currentPage}`;
-    state.drawing.savedDrawings[key] = state.drawing.canvas.toDataURL();
+    const pending = loadedPDF.renderTasks.get(pageNum);
+    if (pending && pending.scale >= minScale) return pending.promise;
+    if (pending && !pending.cancellable) {
+        // Lo está renderizando la exportación: esperar y volver a pedirla
+        await pending.promise.catch(() => {});
+        return getPDFPageImage(pageNum, minScale, { cancellable });
+    }
+    if (pending) pending.cancel();
 
-    // Guardar en localStorage
-    try {
-        localStorage.setItem('psicotrain_drawings', JSON.stringify(state.drawing.savedDrawings));
-    } catch (e) {
-        console.warn('No se pudo guardar el dibujo en localStorage');
+    const render = { scale: minScale, task: null, cancelled: false, cancellable };
+    render.cancel = () => {
+        render.cancelled = true;
+        if (render.task) render.task.cancel();
+    };
+    render.promise = renderPDFPageImage(loadedPDF.document, pageNum, render).finally(() => {
+        if (loadedPDF.renderTasks.get(pageNum) === render) loadedPDF.renderTasks.delete(pageNum);
+    });
+    loadedPDF.renderTasks.set(pageNum, render);
+    return render.promise;
+}
+
+async function renderPDFPageImage(pdf, pageNum, render) {
+    let rendered;
+    if (canUseRenderWorker() && loadedPDF.renderDocId) {
+        try {
+            rendered = await renderPageInWorker(pageNum, render);
+        } catch (error) {
+            if (isRenderCancelled(error)) throw error;
+            console.warn('Worker de renderizado no disponible, se usa el hilo principal:', error);
+            disableRenderWorker();
+        }
     }
+    if (!rendered) rendered = await renderPageOnMainThread(pdf, pageNum, render);
+
+    if (render.cancelled || loadedPDF.document !== pdf) throw renderCancelledError();
+
+    const image = {
+        url: URL.createObjectURL(rendered.blob),
+        // Lo que ocupa la imagen decodificada al mostrarla, no el PNG comprimido
+        bytes: rendered.pixelWidth * rendered.pixelHeight * 4,
+        scale: render.scale,
+        width: rendered.width,
+        height: rendered.height
+    };
+    cachePDFPageImage(pageNum, image);
+    return image;
 }
 
 /**
- * Restaura el dibujo guardado
+ * Renderizado sin worker; devuelve {blob, width, height} (tamaño de la página)
+ * y {pixelWidth, pixelHeight} (tamaño de la imagen)
  */
-function restoreDrawing() {
-    if (!state.currentExercise || !state.drawing.canvas || !state.drawing.ctx) return;
+async function renderPageOnMainThread(pdf, pageNum, render) {
+    const page = await pdf.getPage(pageNum);
+    if (render.cancelled) throw renderCancelledError();
 
-    const key = `${state.currentExercise.name}_${state.currentPage}`;
-    const savedData = state.drawing.savedDrawings[key];
+    const viewport = page.getViewport({ scale: clampRenderScale(page, render.scale) });
+    const pageSize = page.getViewport({ scale: PDF_PAGE_SCALE });
 
-    if (savedData) {
-        const img = new Image();
-        img.onload = () => {
-            state.drawing.ctx.drawImage(img, 0, 0);
+    // Crear canvas temporal para renderizar
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    try {
+        render.task = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport: viewport
+        });
+        await render.task.promise;
+        // Libera las imágenes y listas de operaciones de la página (se aplaza si hay otro renderizado)
+        page.cleanup();
+
+        // PNG en un Blob: ocupa mucho menos que un data URL en base64
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error(`No se pudo convertir la página ${pageNum}`);
+
+        return {
+            blob,
+            width: Math.round(pageSize.width),
+            height: Math.round(pageSize.height),
+            pixelWidth: canvas.width,
+            pixelHeight: canvas.height
         };
-        img.src = savedData;
+    } finally {
+        // Safari no libera la memoria de los canvas hasta que se reducen
+        canvas.width = 0;
+        canvas.height = 0;
     }
 }
 
 /**
- * Carga dibujos guardados desde localStorage
+ * Reduce la escala si el canvas superaría PDF_MAX_RENDER_PIXELS
  */
-function loadSavedDrawings() {
-    try {
-        const saved = localStorage.getItem('psicotrain_drawings');
-        if (saved) {
-            state.drawing.savedDrawings = JSON.parse(saved);
-        }
-    } catch (e) {
-        console.warn('No se pudieron cargar los dibujos guardados');
-    }
+function clampRenderScale(page, scale) {
+    const base = page.getViewport({ scale: 1 });
+    return Math.min(scale, Math.sqrt(PDF_MAX_RENDER_PIXELS / (base.width * base.height)));
 }
 
-/**
- * Convierte hex a rgba
- */
-function hexToRgba(hex, alpha) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+// ---- Worker de renderizado ----
+
+function canUseRenderWorker() {
+    return !pdfRenderWorker.failed && typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' && 'convertToBlob' in OffscreenCanvas.prototype;
+}
+
+function getRenderWorker() {
+    if (!pdfRenderWorker.worker) {
+        const worker = new Worker(PDF_RENDER_WORKER_SRC);
+        worker.addEventListener('message', handleRenderWorkerMessage);
+        worker.addEventListener('error', event => {
+            event.preventDefault();
+            disableRenderWorker(new Error(event.message || 'Error en el worker de renderizado'));
+        });
+        pdfRenderWorker.worker = worker;
+    }
+    return pdfRenderWorker.worker;
 }
 
 /**
- * Ajusta la imagen a la pantalla
+ * Manda al worker su copia del PDF cargado
  */
-function fitToScreen() {
-    const container = document.getElementById('imageContainer');
-    const img = document.getElementById('exerciseImage');
-
-    if (!container || !img) return;
+function openPDFInRenderWorker(data) {
+    try {
+        const buffer = data instanceof ArrayBuffer ? data : data.buffer;
+        loadedPDF.renderDocId = pdfRenderWorker.nextId++;
+        getRenderWorker().postMessage({ type: 'open', docId: loadedPDF.renderDocId, data: buffer }, [buffer]);
+    } catch (error) {
+        console.warn('No se pudo iniciar el worker de renderizado:', error);
+        disableRenderWorker();
+    }
+}
 
-    const containerWidth = container.clientWidth - 40;
-    const containerHeight = container.clientHeight - 40;
-    const imgRatio = img.naturalWidth / img.naturalHeight;
-    const containerRatio = containerWidth / containerHeight;
+function renderPageInWorker(pageNum, render) {
+    const worker = getRenderWorker();
+    const id = pdfRenderWorker.nextId++;
+
+    return new Promise((resolve, reject) => {
+        pdfRenderWorker.pending.set(id, { resolve, reject });
+        render.task = { cancel: () => worker.postMessage({ type: 'cancel', id }) };
+        worker.postMessage({
+            type: 'render',
+            id,
+            docId: loadedPDF.renderDocId,
+            pageNum,
+            scale: render.scale,
+            pageScale: PDF_PAGE_SCALE,
+            maxPixels: PDF_MAX_RENDER_PIXELS
+        });
+    });
+}
 
-    if (imgRatio > containerRatio) {
-        state.zoomLevel = containerWidth / img.naturalWidth;
+function handleRenderWorkerMessage(event) {
+    const message = event.data || {};
+    const request = pdfRenderWorker.pending.get(message.id);
+    // Mensajes internos de pdf.js (p. ej. 'ready') no llevan id
+    if (!request) return;
+
+    pdfRenderWorker.pending.delete(message.id);
+    if (message.type === 'rendered') {
+        request.resolve({
+            blob: message.blob,
+            width: message.width,
+            height: message.height,
+            pixelWidth: message.pixelWidth,
+            pixelHeight: message.pixelHeight
+        });
     } else {
-        state.zoomLevel = containerHeight / img.naturalHeight;
+        const error = new Error(message.message);
+        error.name = message.name;
+        request.reject(error);
     }
+}
 
-    updateZoom();
+/**
+ * Deja de usar el worker (no soporta algo del PDF o del navegador) y
+ * rechaza lo pendiente para que se renderice en el hilo principal
+ */
+function disableRenderWorker(error = new Error('Worker de renderizado desactivado')) {
+    pdfRenderWorker.failed = true;
+    if (pdfRenderWorker.worker) pdfRenderWorker.worker.terminate();
+    pdfRenderWorker.worker = null;
+    pdfRenderWorker.pending.forEach(request => request.reject(error));
+    pdfRenderWorker.pending.clear();
 }
 
-// Actualizar la inicialización
-const originalLoadData = loadData;
-loadData = async function () {
-    await originalLoadData();
-    loadSavedDrawings();
-};
+/**
+ * Guarda una página en la caché y descarta las menos usadas si se pasa del presupuesto
+ */
+function cachePDFPageImage(pageNum, image) {
+    const previous = loadedPDF.pageCache.get(pageNum);
+    if (previous) {
+        URL.revokeObjectURL(previous.url);
+        loadedPDF.cacheBytes -= previous.bytes;
+        loadedPDF.pageCache.delete(pageNum);
+    }
 
-// Observar cambios de página para reiniciar canvas
-const originalLoadPage = loadPage;
-loadPage = function () {
-    originalLoadPage();
+    loadedPDF.pageCache.set(pageNum, image);
+    loadedPDF.cacheBytes += image.bytes;
 
-    // Reinicializar canvas después de cargar la página
-    setTimeout(() => {
-        initDrawingCanvas();
-    }, 100);
-};
+    for (const [cachedPage, cached] of loadedPDF.pageCache) {
+        if (loadedPDF.cacheBytes <= PDF_CACHE_BUDGET) break;
+        // Nunca la página a la vista ni la recién añadida
+        if (cachedPage === pageNum || cachedPage === loadedPDF.currentPage) continue;
 
-// Observar cambios en el tamaño de la imagen para redimensionar canvas
-window.addEventListener('resize', () => {
-    if (state.drawing.canvas) {
-        resizeCanvas();
+        URL.revokeObjectURL(cached.url);
+        loadedPDF.cacheBytes -= cached.bytes;
+        loadedPDF.pageCache.delete(cachedPage);
     }
-});
-
+}
 
-// ==========================================
-// UPLOAD PDF FUNCTIONS
-// ==========================================
+/**
+ * Cancela los renderizados en curso salvo los de las páginas indicadas
+ */
+function cancelPDFRenders(keepPages) {
+    loadedPDF.renderTasks.forEach((render, pageNum) => {
+        if (render.cancellable && !keepPages.includes(pageNum)) render.cancel();
+    });
+}
 
-function showUploadPanel() {
-    document.getElementById('uploadModal').classList.remove('hidden');
+function renderCancelledError() {
+    const error = new Error('Renderizado cancelado');
+    error.name = 'RenderingCancelledException'; // El mismo nombre que usa pdf.js
+    return error;
 }
 
-function closeUploadPanel() {
-    document.getElementById('uploadModal').classList.add('hidden');
+function isRenderCancelled(error) {
+    return error?.name === 'RenderingCancelledException';
 }
 
-function handleDragOver(e) {
-    e.preventDefault();
-    document.getElementById('uploadZone').classList.add('dragover');
+/**
+ * Actualiza el indicador de página
+ */
+function updatePageIndicator(pageNum) {
+    document.getElementById('pageIndicator').textContent =
+        `Página ${pageNum} de ${loadedPDF.totalPages}`;
+
+    // Actualizar botones de navegación
+    document.getElementById('prevPageBtn').disabled = pageNum <= 1;
+    document.getElementById('nextPageBtn').disabled = pageNum >= loadedPDF.totalPages;
+    if (isPracticeSession()) updatePracticeIndicator();
 }
 
-function handleDragLeave(e) {
-    document.getElementById('uploadZone').classList.remove('dragover');
-}
+/**
+ * Precarga páginas adyacentes para navegación más suave
+ */
+async function preloadAdjacentPages(currentPage) {
+    if (!loadedPDF.document) return;
 
-function handleDrop(e) {
-    e.preventDefault();
-    document.getElementById('uploadZone').classList.remove('dragover');
+    const pagesToPreload = [];
 
-    const files = e.dataTransfer.files;
-    handleFiles(files);
-}
+    // Precargar página anterior
+    if (currentPage > 1 && !loadedPDF.pageCache.has(currentPage - 1)) {
+        pagesToPreload.push(currentPage - 1);
+    }
 
-function handleFileSelect(e) {
-    const files = e.target.files;
-    handleFiles(files);
-}
+    // Precargar página siguiente
+    if (currentPage < loadedPDF.totalPages && !loadedPDF.pageCache.has(currentPage + 1)) {
+        pagesToPreload.push(currentPage + 1);
+    }
 
-function handleFiles(files) {
-    const uploadList = document.getElementById('uploadList');
+    // Renderizar páginas en segundo plano
+    for (const pageNum of pagesToPreload) {
+        // El usuario ya está en otra página
+        if (loadedPDF.requestedPage !== currentPage) return;
 
-    for (const file of files) {
-        if (file.type === 'application/pdf') {
-            const item = document.createElement('div');
-            item.className = 'upload-item';
-            item.innerHTML = `
-                <span>📄 ${file.name}</span>
-                <span style="color: var(--text-muted); font-size: 0.8rem;">${(file.size / 1024 / 1024).toFixed(2)} MB</span>
-            `;
-            uploadList.appendChild(item);
+        try {
+            await getPDFPageImage(pageNum);
+        } catch (e) {
+            if (!isRenderCancelled(e)) console.warn(`No se pudo precargar página ${pageNum}`);
         }
     }
-
-    showNotification('PDFs seleccionados. Para procesarlos, ejecuta el script de extracción.', 'info');
 }
 
 // ==========================================
-// NOTES/TRUCOS FUNCTIONS
+// EXPORTAR PDF ANOTADO
 // ==========================================
 
-let currentNoteCategory = 'general';
+// Tamaño A4 en puntos PDF y resolución de las páginas de resumen (150 ppp)
+const PDF_PAGE_WIDTH = 595.28;
+const PDF_PAGE_HEIGHT = 841.89;
+const SUMMARY_PAGE_WIDTH = 1240;
+const SUMMARY_PAGE_HEIGHT = 1754;
+const EXPORT_JPEG_QUALITY = 0.85;
 
-function showNotesPanel() {
-    document.getElementById('notesModal').classList.remove('hidden');
-    loadNotes();
-}
+let pdfExportInProgress = false;
 
-function closeNotesPanel() {
-    document.getElementById('notesModal').classList.add('hidden');
-}
+/**
+ * Exporta el ejercicio abierto como PDF: cada página con sus dibujos y etiquetas
+ * visibles, y al final la hoja de respuestas con la última corrección
+ */
+async function exportAnnotatedPDF() {
+    const exercise = state.currentExercise;
+    if (!exercise || pdfExportInProgress) return;
 
-function selectNoteCategory(category) {
-    // Guardar notas actuales antes de cambiar
-    saveCurrentNotes();
+    pdfExportInProgress = true;
+    const btn = document.getElementById('exportPdfBtn');
+    if (btn) btn.disabled = true;
+    showNotification('Generando PDF anotado...', 'info');
 
-    // Cambiar categoría
-    currentNoteCategory = category;
+    try {
+        const pages = [];
+        for (let pageNum = 1; pageNum <= exercise.total_pages; pageNum++) {
+            if (btn) btn.title = `Exportando página ${pageNum} de ${exercise.total_pages}...`;
+            const canvas = await renderAnnotatedPage(exercise, pageNum);
+            pages.push(await canvasToPDFImage(canvas));
+        }
 
-    // Actualizar UI
-    document.querySelectorAll('.note-cat-btn').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.textContent.toLowerCase().includes(category.toLowerCase())) {
-            btn.classList.add('active');
+        for (const canvas of renderSummaryPages(exercise, state.currentCategory)) {
+            pages.push(await canvasToPDFImage(canvas));
         }
-    });
 
-    // Cargar notas de la nueva categoría
-    loadNotes();
+        downloadFile(buildPDF(pages, exercise.name), `${exercise.name} (anotado).pdf`);
+        showNotification('PDF anotado exportado 📄', 'success');
+    } catch (error) {
+        console.error('Error exportando PDF:', error);
+        showNotification('No se pudo exportar el PDF', 'error');
+    } finally {
+        pdfExportInProgress = false;
+        if (btn) {
+            btn.disabled = false;
+            btn.title = 'Exportar PDF anotado';
+        }
+    }
 }
 
-function loadNotes() {
-    const notes = JSON.parse(localStorage.getItem('psicotrain_notes') || '{}');
-    const textarea = document.getElementById('notesTextarea');
-    textarea.value = notes[currentNoteCategory] || '';
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`No se pudo cargar la imagen: ${src}`));
+        img.src = src;
+    });
 }
 
-function saveCurrentNotes() {
-    const notes = JSON.parse(localStorage.getItem('psicotrain_notes') || '{}');
-    const textarea = document.getElementById('notesTextarea');
-    notes[currentNoteCategory] = textarea.value;
-    localStorage.setItem('psicotrain_notes', JSON.stringify(notes));
-}
+/**
+ * Página del ejercicio con el dibujo guardado encima, a la resolución de la imagen
+ */
+async function renderAnnotatedPage(exercise, pageNum) {
+    let src;
+    let size = null;
+    if (exercise.isPDF) {
+        await ensurePDFLoaded(exercise);
+        // Pasar de página mientras se exporta no debe cancelar la exportación
+        size = await getPDFPageImage(pageNum, PDF_PAGE_SCALE, { cancellable: false });
+        src = size.url;
+    } else {
+        src = exercise.pages[pageNum - 1].path;
+    }
 
-function saveNotes() {
-    saveCurrentNotes();
-    showNotification('Notas guardadas ✓', 'success');
+    const img = await loadImageElement(src);
+    const canvas = document.createElement('canvas');
+    canvas.width = size ? size.width : img.naturalWidth;
+    canvas.height = size ? size.height : img.naturalHeight;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const drawing = normalizeDrawing(state.drawing.savedDrawings[`${exercise.name}_${pageNum}`]);
+    const background = drawing.background ? await loadImageElement(drawing.background) : null;
+    drawPageLayers(ctx, drawing, background);
+    ctx.globalCompositeOperation = 'source-over';
+
+    if (state.drawing.layers.visible.notes) {
+        drawing.labels.forEach(label => drawLabelOnCanvas(ctx, label));
+    }
+
+    return canvas;
 }
 
-function clearCurrentNotes() {
-    document.getElementById('notesTextarea').value = '';
-    saveCurrentNotes();
-    showNotification('Notas limpiadas', 'info');
+/**
+ * Parte un texto en líneas que caben en `maxWidth`
+ */
+function wrapCanvasText(ctx, text, maxWidth) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
 }
 
-// ==========================================
-// PDF.JS DIRECT VIEWING
-// ==========================================
+/**
+ * Pinta una etiqueta o nota adhesiva (siempre desplegada) como en la página
+ */
+function drawLabelOnCanvas(ctx, label) {
+    const lineHeight = 21;
+    const padding = 6;
+    ctx.save();
+    ctx.textBaseline = 'top';
+
+    if (label.type === 'sticky') {
+        const width = 200;
+        ctx.font = '16px sans-serif';
+        const lines = wrapCanvasText(ctx, label.text, width - padding * 2);
+        const height = 24 + lines.length * lineHeight + padding * 2;
+
+        ctx.fillStyle = '#fef08a';
+        ctx.fillRect(label.x, label.y, width, height);
+        ctx.fillStyle = label.color;
+        ctx.fillRect(label.x, label.y, width, 4);
+        ctx.fillStyle = '#1e293b';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, label.x + padding, label.y + 24 + padding + i * lineHeight);
+        });
+    } else {
+        ctx.font = 'bold 16px sans-serif';
+        const lines = wrapCanvasText(ctx, label.text, 320 - padding * 2);
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+
+        // Mismo hueco que el asa de arrastre en la página
+        const x = label.x + 20;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillRect(x, label.y, width, lines.length * lineHeight + 4);
+        ctx.fillStyle = label.color;
+        lines.forEach((line, i) => ctx.fillText(line, x + padding, label.y + 2 + i * lineHeight));
+    }
 
-// Configurar worker de PDF.js
-if (typeof pdfjsLib !== 'undefined') {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    ctx.restore();
 }
 
-// Estado del PDF cargado
-let loadedPDF = {
-    document: null,
-    currentPage: 1,
-    totalPages: 0,
-    fileName: '',
-    pageCache: {} // Caché de páginas renderizadas
-};
+/**
+ * Filas de la hoja de respuestas: lo marcado y, si se corrigió, la clave y el resultado
+ */
+function getAnswerSheetRows(exerciseName) {
+    const sheet = getExerciseAnswers(exerciseName);
+    const results = state.answeredPages[exerciseName] || {};
+    const questions = [...new Set([...Object.keys(sheet), ...Object.keys(results)])]
+        .map(Number)
+        .sort((a, b) => a - b);
+
+    return questions.map(q => ({
+        question: q,
+        selected: sheet[q] || results[q]?.selected || '',
+        correct: results[q]?.correct?.join('/') || '',
+        status: results[q]?.status || null
+    }));
+}
 
-// Modificar handleFiles para procesar PDFs directamente
-function handleFiles(files) {
-    const uploadList = document.getElementById('uploadList');
+/**
+ * Páginas de resumen: puntuación de la última corrección y hoja de respuestas
+ */
+function renderSummaryPages(exercise, categoryName) {
+    const rows = getAnswerSheetRows(exercise.name);
+    const results = state.answeredPages[exercise.name];
+    const statusLabels = { correct: '✓ Acierto', incorrect: '✗ Fallo', blank: '— En blanco', annulled: 'Anulada' };
+    const statusColors = { correct: '#16a34a', incorrect: '#dc2626', blank: '#64748b', annulled: '#64748b' };
+
+    const margin = 90;
+    const rowHeight = 40;
+    const columnWidth = (SUMMARY_PAGE_WIDTH - margin * 2) / 2;
+    const headerHeight = 330;
+    const rowsPerColumn = Math.floor((SUMMARY_PAGE_HEIGHT - headerHeight - margin) / rowHeight);
+    const rowsPerPage = rowsPerColumn * 2;
+    const pageCount = Math.max(1, Math.ceil(rows.length / rowsPerPage));
+
+    const canvases = [];
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        const canvas = document.createElement('canvas');
+        canvas.width = SUMMARY_PAGE_WIDTH;
+        canvas.height = SUMMARY_PAGE_HEIGHT;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.textBaseline = 'top';
+
+        ctx.fillStyle = '#1e293b';
+        ctx.font = 'bold 44px sans-serif';
+        ctx.fillText(exercise.name, margin, margin);
+        ctx.font = '26px sans-serif';
+        ctx.fillStyle = '#475569';
+        ctx.fillText(`${categoryName} · Exportado el ${new Date().toLocaleString('es-ES', { dateStyle: 'long', timeStyle: 'short' })}`, margin, margin + 64);
+
+        ctx.font = '30px sans-serif';
+        ctx.fillStyle = '#1e293b';
+        if (results) {
+            const counts = countResults(results);
+            const score = computeScore(counts, categoryName);
+            ctx.fillText(`Nota: ${score.score.toFixed(2)} / 10   (${SCORING_FORMULAS[score.formula]?.label || score.formula})`, margin, margin + 130);
+            ctx.fillText(`✓ ${counts.correct} aciertos   ✗ ${counts.incorrect} fallos   — ${counts.blank} en blanco`, margin, margin + 175);
+        } else {
+            ctx.fillText('Sin corregir: solo se incluyen las respuestas marcadas', margin, margin + 130);
+        }
 
-    for (const file of files) {
-        if (file.type === 'application/pdf') {
-            const item = document.createElement('div');
-            item.className = 'upload-item';
-            item.innerHTML = `
-                <span>📄 ${file.name}</span>
-                <button class="btn-small" onclick="loadPDFFile(this.parentElement)" data-filename="${file.name}">Ver</button>
-            `;
-            item.pdfFile = file; // Guardar referencia al archivo
-            uploadList.appendChild(item);
+        if (rows.length === 0) {
+            ctx.fillStyle = '#64748b';
+            ctx.fillText('No hay respuestas marcadas.', margin, headerHeight);
+        }
 
-            // Cargar automáticamente el primer PDF
-            if (uploadList.children.length === 1) {
-                loadPDFFromFile(file);
+        rows.slice(pageIndex * rowsPerPage, (pageIndex + 1) * rowsPerPage).forEach((row, i) => {
+            const x = margin + Math.floor(i / rowsPerColumn) * columnWidth;
+            const y = headerHeight + (i % rowsPerColumn) * rowHeight;
+
+            ctx.font = 'bold 24px sans-serif';
+            ctx.fillStyle = '#1e293b';
+            ctx.fillText(`${row.question}.`, x, y);
+            ctx.font = '24px sans-serif';
+            ctx.fillText(row.selected || '·', x + 70, y);
+            if (row.correct) {
+                ctx.fillStyle = '#475569';
+                ctx.fillText(`(${row.correct})`, x + 120, y);
             }
-        }
-    }
-}
+            if (row.status) {
+                ctx.fillStyle = statusColors[row.status];
+                ctx.fillText(statusLabels[row.status], x + 240, y);
+            }
+        });
 
-// Cargar PDF desde elemento de la lista
-function loadPDFFile(element) {
-    if (element.pdfFile) {
-        loadPDFFromFile(element.pdfFile);
+        canvases.push(canvas);
     }
-}
-
-// Cargar PDF desde archivo
-async function loadPDFFromFile(file) {
-    try {
-        showNotification('Cargando PDF...', 'info');
 
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    return canvases;
+}
 
-        loadedPDF.document = pdf;
-        loadedPDF.totalPages = pdf.numPages;
-        loadedPDF.currentPage = 1;
-        loadedPDF.fileName = file.name;
-        loadedPDF.pageCache = {}; // Limpiar caché
+/**
+ * Codifica un canvas como JPEG para incrustarlo en el PDF
+ */
+function canvasToPDFImage(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(async (blob) => {
+            if (!blob) {
+                reject(new Error('No se pudo codificar la página'));
+                return;
+            }
+            resolve({
+                data: new Uint8Array(await blob.arrayBuffer()),
+                width: canvas.width,
+                height: canvas.height
+            });
+        }, 'image/jpeg', EXPORT_JPEG_QUALITY);
+    });
+}
 
-        // Cerrar modal de upload
-        closeUploadPanel();
+/**
+ * Texto PDF en UTF-16BE (hexadecimal) para admitir tildes en los metadatos
+ */
+function toPDFTextString(text) {
+    let hex = 'FEFF';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        const units = code > 0xffff
+            ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)]
+            : [code];
+        units.forEach(unit => { hex += unit.toString(16).padStart(4, '0').toUpperCase(); });
+    }
+    return `<${hex}>`;
+}
 
-        // Crear ejercicio temporal
-        state.currentExercise = {
-            name: file.name.replace('.pdf', ''),
-            total_pages: pdf.numPages,
-            pages: [],
-            isPDF: true
-        };
-        state.currentPage = 1;
-        state.zoomLevel = 1;
+/**
+ * Genera un PDF con una imagen JPEG por página, centrada en un A4
+ */
+function buildPDF(images, title) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (chunk) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const writeObject = (id, body, stream = null) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
 
-        // Mostrar visor
-        document.getElementById('breadcrumb').innerHTML = `
-            <span>📄 PDF Cargado</span>
-            <span> › </span>
-            <strong>${file.name}</strong>
-        `;
+    // 1: catálogo, 2: árbol de páginas, 3: metadatos; cada página usa 3 objetos más
+    const pageIds = images.map((_, i) => 4 + i * 3);
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // Marca de archivo binario
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${images.length} >>`);
+    writeObject(3, `<< /Title ${toPDFTextString(title)} /Producer (PsicoTrain) >>`);
+
+    images.forEach((image, i) => {
+        const pageId = pageIds[i];
+        const scale = Math.min(PDF_PAGE_WIDTH / image.width, PDF_PAGE_HEIGHT / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        const x = (PDF_PAGE_WIDTH - width) / 2;
+        const y = (PDF_PAGE_HEIGHT - height) / 2;
+        const content = `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im0 Do Q`;
+
+        writeObject(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+            `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+        writeObject(pageId + 1, `<< /Length ${content.length} >>`, content);
+        writeObject(pageId + 2, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`, image.data);
+    });
 
-        showScreen('exerciseViewerScreen');
+    const objectCount = 4 + images.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
 
-        // Renderizar primera página
-        await renderPDFPage(1);
+    return new Blob(chunks, { type: 'application/pdf' });
+}
 
-        // Precargar páginas adyacentes
-        preloadAdjacentPages(1);
+// ==========================================
+// ROUTER (URL HASH)
+// ==========================================
 
-        // Actualizar panel de respuestas
-        renderAnswersPanel();
+// Estado del router: #/<categoría>/<ejercicio>/<página>?zoom=<nivel>
+const router = {
+    currentHash: '',
+    applying: false,     // Aplicando una ruta: no generar entradas nuevas en el historial
+    zoomTimer: null
+};
 
-        showNotification(`PDF cargado: ${pdf.numPages} páginas`, 'success');
+/**
+ * Ruta de una pantalla {category, exercise, page, zoom} como hash
+ */
+function buildRouteHash(route) {
+    if (!route.category) return '#/';
 
-    } catch (error) {
-        console.error('Error cargando PDF:', error);
-        showNotification('Error al cargar el PDF', 'error');
+    let hash = `#/${encodeURIComponent(route.category)}`;
+    if (route.exercise) {
+        hash += `/${encodeURIComponent(route.exercise)}/${route.page || 1}`;
+        if (route.zoom && route.zoom !== 1) hash += `?zoom=${Math.round(route.zoom * 100) / 100}`;
     }
+    return hash;
 }
 
-// Renderizar página del PDF con mejor calidad y caché
-async function renderPDFPage(pageNum) {
-    if (!loadedPDF.document) return;
-
-    try {
-        // Verificar si la página ya está en caché
-        if (loadedPDF.pageCache[pageNum]) {
-            const img = document.getElementById('exerciseImage');
-            img.src = loadedPDF.pageCache[pageNum];
-            img.style.transform = `scale(${state.zoomLevel})`;
-            updatePageIndicator(pageNum);
-            return;
+/**
+ * Lee un hash (#/Verbal/Sinónimos/3?zoom=1.5) como ruta
+ */
+function parseRouteHash(hash) {
+    const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+    const segments = path.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return segment;
         }
+    });
 
-        const page = await loadedPDF.document.getPage(pageNum);
-
-        // Escala mejorada para mejor calidad (3 en lugar de 2)
-        const scale = 3;
-        const viewport = page.getViewport({ scale });
-
-        // Crear canvas temporal para renderizar
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
+    return {
+        category: segments[0] || null,
+        exercise: segments[1] || null,
+        page: parseInt(segments[2], 10) || 1,
+        zoom: parseFloat(new URLSearchParams(query).get('zoom')) || 1
+    };
+}
 
-        await page.render({
-            canvasContext: context,
-            viewport: viewport
-        }).promise;
+/**
+ * Ruta de lo que se está viendo ahora mismo
+ */
+function getCurrentRoute() {
+    const category = state.currentCategory;
+    const exercise = state.currentExercise;
 
-        // Convertir a imagen
-        const imageData = canvas.toDataURL('image/png');
+    // Los PDFs abiertos sin guardar no tienen enlace propio
+    const linkable = exercise && (state.exercises[category] || []).includes(exercise);
 
-        // Guardar en caché
-        loadedPDF.pageCache[pageNum] = imageData;
+    return {
+        category,
+        exercise: linkable ? exercise.name : null,
+        page: state.currentPage,
+        zoom: state.zoomLevel
+    };
+}
 
-        // Mostrar
-        const img = document.getElementById('exerciseImage');
-        img.src = imageData;
-        img.style.transform = `scale(${state.zoomLevel})`;
+/**
+ * Refleja la pantalla actual en la URL. Cambiar de categoría o ejercicio
+ * crea una entrada en el historial; cambiar de página o zoom la sustituye.
+ */
+function syncRoute() {
+    if (router.applying) return;
 
-        updatePageIndicator(pageNum);
+    const route = getCurrentRoute();
+    const hash = buildRouteHash(route);
+    if (hash === router.currentHash) return;
 
-        loadedPDF.currentPage = pageNum;
-        state.currentPage = pageNum;
+    const previous = parseRouteHash(router.currentHash);
+    const sameScreen = router.currentHash &&
+        previous.category === route.category && previous.exercise === route.exercise;
 
-    } catch (error) {
-        console.error('Error renderizando página:', error);
+    if (sameScreen) {
+        history.replaceState(history.state, '', hash);
+    } else {
+        history.pushState({ prev: router.currentHash }, '', hash);
     }
+    router.currentHash = hash;
 }
 
 /**
- * Actualiza el indicador de página
+ * El zoom cambia muchas veces seguidas (rueda, pellizco): actualizar la URL
+ * y la posición guardada al final
  */
-function updatePageIndicator(pageNum) {
-    document.getElementById('pageIndicator').textContent =
-        `Página ${pageNum} de ${loadedPDF.totalPages}`;
-
-    // Actualizar botones de navegación
-    document.getElementById('prevPageBtn').disabled = pageNum <= 1;
-    document.getElementById('nextPageBtn').disabled = pageNum >= loadedPDF.totalPages;
+function scheduleZoomRoute() {
+    clearTimeout(router.zoomTimer);
+    router.zoomTimer = setTimeout(() => {
+        syncRoute();
+        savePosition();
+    }, 400);
 }
 
 /**
- * Precarga páginas adyacentes para navegación más suave
+ * Muestra la pantalla descrita por una ruta
  */
-async function preloadAdjacentPages(currentPage) {
-    if (!loadedPDF.document) return;
+function applyRoute(route) {
+    router.applying = true;
+    try {
+        if (!route.category) {
+            showDashboard();
+            return;
+        }
 
-    const pagesToPreload = [];
+        if (!state.exercises[route.category]) {
+            showNotification(`No existe la categoría "${route.category}"`, 'warning');
+            showDashboard();
+            return;
+        }
 
-    // Precargar página anterior
-    if (currentPage > 1 && !loadedPDF.pageCache[currentPage - 1]) {
-        pagesToPreload.push(currentPage - 1);
-    }
+        const exercise = route.exercise &&
+            state.exercises[route.category].find(ex => ex.name === route.exercise);
 
-    // Precargar página siguiente
-    if (currentPage < loadedPDF.totalPages && !loadedPDF.pageCache[currentPage + 1]) {
-        pagesToPreload.push(currentPage + 1);
-    }
+        if (route.exercise && !exercise) {
+            showNotification(`No existe el ejercicio "${route.exercise}"`, 'warning');
+        }
 
-    // Renderizar páginas en segundo plano
-    for (const pageNum of pagesToPreload) {
-        try {
-            const page = await loadedPDF.document.getPage(pageNum);
-            const scale = 3;
-            const viewport = page.getViewport({ scale });
+        if (!exercise) {
+            stopTimer();
+            endExam();
+            state.currentExercise = null;
+            selectCategory(route.category);
+            return;
+        }
 
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
+        if (state.currentExercise !== exercise || state.currentCategory !== route.category) {
+            selectCategory(route.category);
+            selectExercise(exercise);
+        }
 
-            await page.render({
-                canvasContext: context,
-                viewport: viewport
-            }).promise;
+        if (route.zoom !== state.zoomLevel) {
+            state.zoomLevel = clampZoom(route.zoom);
+            updateZoom();
+        }
+        if (route.page !== state.currentPage) {
+            goToPage(Math.min(Math.max(route.page, 1), exercise.total_pages));
+        }
+    } finally {
+        router.applying = false;
+        // Normalizar la URL (p. ej. página fuera de rango) sin crear otra entrada
+        router.currentHash = buildRouteHash(getCurrentRoute());
+        history.replaceState(history.state, '', router.currentHash);
+    }
+}
 
-            loadedPDF.pageCache[pageNum] = canvas.toDataURL('image/png');
-        } catch (e) {
-            console.warn(`No se pudo precargar página ${pageNum}`);
+/**
+ * Navegación con atrás/adelante o editando la URL a mano
+ */
+function handleRouteChange() {
+    if (location.hash === router.currentHash) return;
+
+    if (state.exam.active || state.practice.active) {
+        const message = state.exam.active
+            ? '¿Abandonar el simulacro? No se corregirá.'
+            : '¿Abandonar la práctica aleatoria?';
+        if (!confirm(message)) {
+            // Volver a la URL de la sesión en curso
+            history.pushState({ prev: location.hash }, '', router.currentHash);
+            return;
         }
+        endExam();
+        endPractice();
     }
-}
 
-// Sobrescribir funciones de navegación para soportar PDFs
-const originalPrevPage = prevPage;
-const originalNextPage = nextPage;
+    applyRoute(parseRouteHash(location.hash));
+}
 
-prevPage = async function () {
-    if (loadedPDF.document && state.currentExercise?.isPDF) {
-        if (loadedPDF.currentPage > 1) {
-            await renderPDFPage(loadedPDF.currentPage - 1);
-            preloadAdjacentPages(loadedPDF.currentPage);
-        }
-    } else {
-        originalPrevPage();
-    }
-};
+/**
+ * Aplica la ruta de la URL al arrancar (tras loadData) y escucha el historial
+ */
+function initRouter() {
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
 
-nextPage = async function () {
-    if (loadedPDF.document && state.currentExercise?.isPDF) {
-        if (loadedPDF.currentPage < loadedPDF.totalPages) {
-            await renderPDFPage(loadedPDF.currentPage + 1);
-            preloadAdjacentPages(loadedPDF.currentPage);
-        }
+    const route = parseRouteHash(location.hash);
+    if (route.category) {
+        applyRoute(route);
     } else {
-        originalNextPage();
+        router.currentHash = '#/';
+        history.replaceState(history.state, '', router.currentHash);
     }
-};
+}
 
 // ==========================================
 // SIDEBAR COLLAPSE FUNCTIONS
 // ==========================================
 
 /**
- * Inicializa el estado de la barra lateral desde localStorage
+ * Inicializa el estado de la barra lateral guardado
  */
 function initSidebar() {
-    const savedState = localStorage.getItem('psicotrain_sidebar_collapsed');
-    if (savedState === 'true') {
+    if (storageGet('sidebar_collapsed') === true) {
         state.sidebarCollapsed = true;
         document.querySelector('.sidebar').classList.add('collapsed');
     }
@@ -1794,7 +6744,7 @@ function toggleSidebar() {
     }
 
     // Guardar estado
-    localStorage.setItem('psicotrain_sidebar_collapsed', state.sidebarCollapsed);
+    storageSet('sidebar_collapsed', state.sidebarCollapsed);
 
     // Disparar evento de resize para recalcular el tamaño del visor si es necesario
     window.dispatchEvent(new Event('resize'));
@@ -1820,6 +6770,7 @@ function startTimer() {
     state.stopwatch.timerId = setInterval(() => {
         state.stopwatch.seconds++;
         updateStopwatchDisplay();
+        if (state.stopwatch.seconds % POSITION_SAVE_INTERVAL === 0) savePosition();
     }, 1000);
 }
 
@@ -1831,6 +6782,7 @@ function stopTimer() {
     if (state.stopwatch.timerId) {
         clearInterval(state.stopwatch.timerId);
         state.stopwatch.timerId = null;
+        savePosition();
     }
     updateTimerBtnUI();
 }
@@ -1853,6 +6805,7 @@ function resetStopwatch() {
     stopTimer();
     state.stopwatch.seconds = 0;
     updateStopwatchDisplay();
+    savePosition();
     startTimer();
 }
 
@@ -1880,6 +6833,670 @@ function updateTimerBtnUI() {
     }
 }
 
+// ==========================================
+// EXAM MODE (SIMULACRO)
+// ==========================================
+
+/**
+ * Abre el configurador del simulacro
+ */
+function showExamSetup() {
+    const list = document.getElementById('examExerciseList');
+    const currentName = state.currentExercise?.name;
+
+    list.innerHTML = Object.entries(state.exercises).map(([category, exercises]) => `
+        <div class="exam-category">
+            <h4>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</h4>
+            ${exercises.map(exercise => `
+                <label class="exam-exercise-option">
+                    <input type="checkbox" value="${escapeHTML(exercise.name)}" data-category="${escapeHTML(category)}"
+                        ${exercise.name === currentName ? 'checked' : ''}>
+                    <span>${escapeHTML(exercise.name)}</span>
+                    <small>${getKeyedQuestions(category, exercise.name).length} preguntas con clave</small>
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+
+    document.getElementById('examModal').classList.remove('hidden');
+}
+
+function closeExamSetup() {
+    document.getElementById('examModal').classList.add('hidden');
+}
+
+/**
+ * Lee los avisos configurados ("5, 1" → [300, 60])
+ */
+function parseExamWarnings(text) {
+    return String(text)
+        .split(/[\s,;]+/)
+        .map(Number)
+        .filter(minutes => minutes > 0)
+        .map(minutes => Math.round(minutes * 60))
+        .sort((a, b) => b - a);
+}
+
+/**
+ * Empieza el simulacro con los ejercicios seleccionados
+ */
+function startExam() {
+    const selected = [...document.querySelectorAll('#examExerciseList input:checked')]
+        .map(input => ({ category: input.dataset.category, name: input.value }));
+
+    if (selected.length === 0) {
+        showNotification('Elige al menos un ejercicio', 'warning');
+        return;
+    }
+
+    const minutes = parseFloat(document.getElementById('examMinutes').value);
+    if (!(minutes > 0)) {
+        showNotification('Indica un tiempo límite válido', 'warning');
+        return;
+    }
+
+    // El simulacro empieza con las hojas en blanco
+    const hasAnswers = selected.some(item => Object.keys(getExerciseAnswers(item.name)).length > 0);
+    if (hasAnswers && !confirm('Se borrarán las respuestas marcadas en estos ejercicios. ¿Continuar?')) return;
+
+    if (!state.pageAnswers) state.pageAnswers = {};
+    selected.forEach(item => {
+        state.pageAnswers[item.name] = {};
+        clearScratchLayer(item.name);
+    });
+    savePageAnswers();
+
+    stopTimer();
+    endExam();
+    endPractice();
+
+    Object.assign(state.exam, {
+        active: true,
+        finished: false,
+        exercises: selected,
+        index: 0,
+        limitSeconds: Math.round(minutes * 60),
+        endsAt: Date.now() + Math.round(minutes * 60) * 1000,
+        usedSeconds: 0,
+        warnings: parseExamWarnings(document.getElementById('examWarnings').value),
+        warned: []
+    });
+
+    closeExamSetup();
+    document.body.classList.add('exam-active');
+    loadExamExercise(0);
+
+    state.exam.timerId = setInterval(tickExam, 1000);
+    updateExamDisplay();
+    showNotification(`Simulacro iniciado: ${minutes} min ⏱`, 'success');
+}
+
+/**
+ * Muestra uno de los ejercicios del simulacro sin reiniciar la cuenta atrás
+ */
+function loadExamExercise(index) {
+    const item = state.exam.exercises[index];
+    const exercise = (state.exercises[item.category] || []).find(ex => ex.name === item.name);
+    if (!exercise) return;
+
+    state.exam.index = index;
+    state.currentCategory = item.category;
+    state.currentExercise = exercise;
+    state.currentPage = 1;
+    state.zoomLevel = 1;
+    state.keyEditMode = false;
+    state.correctionVisible = state.exam.finished;
+
+    document.getElementById('breadcrumb').innerHTML = `
+        <span>⏱ Simulacro</span>
+        <span> › </span>
+        <strong>${escapeHTML(exercise.name)}</strong>
+    `;
+
+    showScreen('exerciseViewerScreen');
+    loadPage();
+    updateExamBar();
+}
+
+function prevExamExercise() {
+    if (state.exam.index > 0) loadExamExercise(state.exam.index - 1);
+}
+
+function nextExamExercise() {
+    if (state.exam.index < state.exam.exercises.length - 1) loadExamExercise(state.exam.index + 1);
+}
+
+/**
+ * Segundos que quedan de simulacro
+ */
+function getExamRemaining() {
+    return Math.max(0, Math.ceil((state.exam.endsAt - Date.now()) / 1000));
+}
+
+/**
+ * Tic de la cuenta atrás: avisos y fin de tiempo
+ */
+function tickExam() {
+    const remaining = getExamRemaining();
+
+    state.exam.warnings.forEach(threshold => {
+        if (remaining <= threshold && !state.exam.warned.includes(threshold)) {
+            state.exam.warned.push(threshold);
+            showNotification(`⏰ Quedan ${formatExamTime(threshold)}`, 'warning');
+        }
+    });
+
+    updateExamDisplay();
+
+    if (remaining <= 0) {
+        showNotification('¡Tiempo agotado!', 'warning');
+        finishExam();
+    }
+}
+
+/**
+ * Muestra la cuenta atrás en el display del cronómetro
+ */
+function updateExamDisplay() {
+    const display = document.getElementById('stopwatchDisplay');
+    if (!display || !state.exam.active) return;
+
+    const remaining = getExamRemaining();
+    const firstWarning = state.exam.warnings[0] || 0;
+    const lastWarning = state.exam.warnings[state.exam.warnings.length - 1] || 60;
+
+    display.textContent = formatExamTime(remaining);
+    display.classList.add('countdown');
+    display.classList.toggle('countdown-warning', remaining <= firstWarning && remaining > lastWarning);
+    display.classList.toggle('countdown-danger', remaining <= lastWarning);
+}
+
+/**
+ * Formatea segundos como mm:ss
+ */
+function formatExamTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Actualiza la barra de navegación entre ejercicios del simulacro
+ */
+function updateExamBar() {
+    const bar = document.getElementById('examBar');
+    if (!bar) return;
+
+    const inExam = state.exam.active || state.exam.finished;
+    bar.classList.toggle('hidden', !inExam);
+    if (!inExam) return;
+
+    const total = state.exam.exercises.length;
+    document.getElementById('examProgress').textContent =
+        `Ejercicio ${state.exam.index + 1} de ${total}`;
+    document.getElementById('examPrevBtn').disabled = state.exam.index <= 0;
+    document.getElementById('examNextBtn').disabled = state.exam.index >= total - 1;
+    document.getElementById('examSubmitBtn').classList.toggle('hidden', !state.exam.active);
+    document.getElementById('examResultsBtn').classList.toggle('hidden', !state.exam.finished);
+}
+
+/**
+ * Entrega anticipada del simulacro
+ */
+function submitExam() {
+    if (!state.exam.active) return;
+    if (!confirm('¿Entregar el simulacro ahora?')) return;
+    finishExam();
+}
+
+/**
+ * Termina el simulacro: bloquea la hoja y corrige todos los ejercicios
+ */
+function finishExam() {
+    if (!state.exam.active) return;
+
+    clearInterval(state.exam.timerId);
+    state.exam.timerId = null;
+    state.exam.active = false;
+    state.exam.finished = true;
+    state.exam.usedSeconds = Math.max(0, state.exam.limitSeconds - getExamRemaining());
+
+    const gradings = state.exam.exercises.map(item => gradeExercise(item.category, item.name));
+
+    // El tiempo del simulacro se reparte entre ejercicios según su número de preguntas
+    const usedSeconds = state.exam.usedSeconds;
+    const totalQuestions = gradings.reduce((sum, g) => sum + (g ? Object.keys(g.results).length : 0), 0);
+
+    const results = state.exam.exercises.map((item, i) => {
+        const grading = gradings[i];
+        const counts = grading ? grading.counts : { correct: 0, incorrect: 0, blank: 0 };
+        if (grading && totalQuestions > 0) {
+            const share = Object.keys(grading.results).length / totalQuestions;
+            recordAttempt(item.category, item.name, grading, Math.round(usedSeconds * share), 'exam');
+        }
+        return { ...item, counts, score: computeScore(counts, item.category).score };
+    });
+    state.exam.results = results;
+
+    state.correctionVisible = true;
+    renderAnswersPanel();
+    updateExamBar();
+    showExamResults();
+}
+
+/**
+ * Muestra el resumen del simulacro
+ */
+function showExamResults() {
+    const results = state.exam.results || [];
+    const totals = results.reduce((acc, r) => {
+        acc.correct += r.counts.correct;
+        acc.incorrect += r.counts.incorrect;
+        acc.blank += r.counts.blank;
+        return acc;
+    }, { correct: 0, incorrect: 0, blank: 0 });
+    const totalScore = computeCombinedScore(results);
+
+    document.getElementById('examResultsContent').innerHTML = `
+        <div class="exam-score">${totalScore.toFixed(2)} <small>/ 10</small></div>
+        <p class="exam-score-detail">
+            ✅ ${totals.correct} · ❌ ${totals.incorrect} · ⬜ ${totals.blank}
+            · ⏱ ${formatExamTime(state.exam.usedSeconds)}
+        </p>
+        <table class="exam-results-table">
+            <thead><tr><th>Ejercicio</th><th>✅</th><th>❌</th><th>⬜</th><th>Nota</th></tr></thead>
+            <tbody>
+                ${results.map(r => `
+                    <tr>
+                        <td>${escapeHTML(r.name)}</td>
+                        <td>${r.counts.correct}</td>
+                        <td>${r.counts.incorrect}</td>
+                        <td>${r.counts.blank}</td>
+                        <td>${r.score.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('examResultsModal').classList.remove('hidden');
+}
+
+function closeExamResults() {
+    document.getElementById('examResultsModal').classList.add('hidden');
+}
+
+/**
+ * Sale del modo simulacro y devuelve el cronómetro a su estado normal
+ */
+function endExam() {
+    if (state.exam.timerId) clearInterval(state.exam.timerId);
+
+    Object.assign(state.exam, {
+        active: false,
+        finished: false,
+        exercises: [],
+        index: 0,
+        timerId: null,
+        results: null
+    });
+
+    document.body.classList.remove('exam-active');
+    const display = document.getElementById('stopwatchDisplay');
+    if (display) display.classList.remove('countdown', 'countdown-warning', 'countdown-danger');
+    updateStopwatchDisplay();
+    updateExamBar();
+}
+
+// ==========================================
+// RANDOM PRACTICE (PRÁCTICA ALEATORIA)
+// ==========================================
+
+/**
+ * Hay una práctica aleatoria en curso o recién corregida
+ */
+function isPracticeSession() {
+    return state.practice.active || state.practice.finished;
+}
+
+/**
+ * Abre el configurador de la práctica aleatoria
+ */
+function showPracticeSetup() {
+    const list = document.getElementById('practiceCategoryList');
+
+    list.innerHTML = Object.keys(state.exercises).map(category => {
+        const available = getPracticePool([category]).length;
+        return `
+            <label class="exam-exercise-option">
+                <input type="checkbox" value="${escapeHTML(category)}" ${available ? '' : 'disabled'}
+                    ${available && (!state.currentCategory || category === state.currentCategory) ? 'checked' : ''}>
+                <span>${categoryIcons[category] || '📁'} ${escapeHTML(category)}</span>
+                <small>${available} preguntas con clave</small>
+            </label>
+        `;
+    }).join('');
+
+    document.getElementById('practiceModal').classList.remove('hidden');
+}
+
+function closePracticeSetup() {
+    document.getElementById('practiceModal').classList.add('hidden');
+}
+
+/**
+ * Preguntas con clave (no anuladas) de las categorías indicadas
+ */
+function getPracticePool(categories) {
+    const pool = [];
+    categories.forEach(category => {
+        (state.exercises[category] || []).forEach(exercise => {
+            getKeyedQuestions(category, exercise.name).forEach(q => {
+                const entry = getKeyEntry(category, exercise.name, q);
+                if (entry.annulled) return;
+                pool.push({ category, exercise: exercise.name, question: q, page: entry.page || 1 });
+            });
+        });
+    });
+    return pool;
+}
+
+/**
+ * Baraja un array (Fisher-Yates) sin modificar el original
+ */
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Monta una sesión con preguntas al azar de las categorías elegidas
+ */
+function startPractice() {
+    if (state.exam.active) {
+        showNotification('Termina el simulacro antes de empezar una práctica', 'warning');
+        return;
+    }
+
+    const categories = [...document.querySelectorAll('#practiceCategoryList input:checked')]
+        .map(input => input.value);
+    if (categories.length === 0) {
+        showNotification('Elige al menos una categoría', 'warning');
+        return;
+    }
+
+    const requested = parseInt(document.getElementById('practiceCount').value, 10);
+    if (!(requested > 0)) {
+        showNotification('Indica un número de preguntas válido', 'warning');
+        return;
+    }
+
+    const pool = getPracticePool(categories);
+    if (pool.length === 0) {
+        showNotification('No hay preguntas con clave en esas categorías', 'warning');
+        return;
+    }
+
+    const items = shuffle(pool).slice(0, requested);
+    if (items.length < requested) {
+        showNotification(`Solo hay ${items.length} preguntas disponibles`, 'info');
+    }
+
+    stopTimer();
+    endExam();
+    endPractice();
+
+    Object.assign(state.practice, {
+        active: true,
+        finished: false,
+        items,
+        index: 0,
+        answers: {},
+        results: null
+    });
+
+    closePracticeSetup();
+    document.body.classList.add('practice-active');
+    loadPracticeItem(0);
+
+    state.stopwatch.seconds = 0;
+    updateStopwatchDisplay();
+    startTimer();
+}
+
+/**
+ * Muestra la página de una de las preguntas de la sesión
+ */
+function loadPracticeItem(index) {
+    const item = state.practice.items[index];
+    if (!item) return;
+    const exercise = (state.exercises[item.category] || []).find(ex => ex.name === item.exercise);
+    if (!exercise) return;
+
+    if (state.currentExercise !== exercise) state.zoomLevel = 1;
+
+    state.practice.index = index;
+    state.currentCategory = item.category;
+    state.currentExercise = exercise;
+    clearExpiredScratch(exercise.name);
+    state.currentPage = Math.min(item.page, exercise.total_pages);
+    state.keyEditMode = false;
+    state.correctionVisible = state.practice.finished;
+
+    document.getElementById('breadcrumb').innerHTML = `
+        <span>🎲 Práctica aleatoria</span>
+        <span> › </span>
+        <strong>${escapeHTML(exercise.name)}</strong>
+        <span> · Pregunta ${item.question}</span>
+    `;
+
+    showScreen('exerciseViewerScreen');
+    loadPage();
+}
+
+/**
+ * En la práctica, las flechas de página recorren las preguntas de la sesión
+ */
+function updatePracticeIndicator() {
+    const total = state.practice.items.length;
+    const index = state.practice.index;
+
+    document.getElementById('pageIndicator').textContent =
+        `Pregunta ${index + 1} de ${total} · pág. ${state.currentPage}`;
+    document.getElementById('prevPageBtn').disabled = index <= 0;
+    document.getElementById('nextPageBtn').disabled = index >= total - 1;
+}
+
+function prevPracticeItem() {
+    if (state.practice.index > 0) loadPracticeItem(state.practice.index - 1);
+}
+
+function nextPracticeItem() {
+    if (state.practice.index < state.practice.items.length - 1) loadPracticeItem(state.practice.index + 1);
+}
+
+/**
+ * Hoja de respuestas de la práctica: solo la pregunta actual
+ */
+function renderPracticePanel() {
+    const item = state.practice.items[state.practice.index];
+    const selected = state.practice.answers[state.practice.index] || null;
+
+    document.getElementById('answersList').innerHTML = `
+        <div class="question-row" data-question="${item.question}">
+            <span class="question-num">${item.question}:</span>
+            <div class="question-options">
+                ${['A', 'B', 'C', 'D', 'E'].map(opt => `
+                    <button class="option-btn ${selected === opt ? 'selected' : ''}"
+                            data-question="${item.question}"
+                            data-option="${opt}"
+                            onclick="selectOption(${item.question}, '${opt}')">
+                        ${opt}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    const answered = Object.keys(state.practice.answers).length;
+    document.getElementById('questionCount').textContent =
+        `${answered} de ${state.practice.items.length} respondidas`;
+
+    updateAnswersPanelMode();
+
+    const summary = document.getElementById('gradeSummary');
+    if (!state.practice.finished) {
+        summary.classList.add('hidden');
+        return;
+    }
+
+    const row = document.querySelector('#answersList .question-row');
+    markGradedRow(row, item.result, getKeyEntry(item.category, item.exercise, item.question));
+
+    const { counts, score } = state.practice.results;
+    renderGradeSummary(counts, score);
+}
+
+/**
+ * Marca (o desmarca) la respuesta de la pregunta actual de la sesión
+ */
+function selectPracticeOption(option) {
+    if (state.practice.finished) {
+        showNotification('Práctica corregida: pulsa Corregir para ver el resultado', 'info');
+        return;
+    }
+
+    const index = state.practice.index;
+    if (state.practice.answers[index] === option) {
+        delete state.practice.answers[index];
+    } else {
+        state.practice.answers[index] = option;
+    }
+    renderPracticePanel();
+}
+
+/**
+ * Corrige la sesión: resultado por pregunta y desglose por ejercicio
+ */
+function finishPractice() {
+    if (!state.practice.active) return;
+
+    const blank = state.practice.items.length - Object.keys(state.practice.answers).length;
+    if (blank > 0 && !confirm(`Quedan ${blank} preguntas sin responder. ¿Corregir igualmente?`)) return;
+
+    stopTimer();
+    const sources = {};
+    const counts = { correct: 0, incorrect: 0, blank: 0 };
+
+    state.practice.items.forEach((item, index) => {
+        const entry = getKeyEntry(item.category, item.exercise, item.question);
+        const selected = state.practice.answers[index] || null;
+        let status = 'blank';
+        if (selected) {
+            status = entry.answers.includes(selected) ? 'correct' : 'incorrect';
+        }
+        item.result = { selected, correct: entry.answers, status };
+        counts[status]++;
+
+        const sourceKey = `${item.category}::${item.exercise}`;
+        if (!sources[sourceKey]) {
+            sources[sourceKey] = {
+                category: item.category,
+                name: item.exercise,
+                counts: { correct: 0, incorrect: 0, blank: 0 },
+                results: {}
+            };
+        }
+        sources[sourceKey].counts[status]++;
+        sources[sourceKey].results[item.question] = item.result;
+    });
+
+    const breakdown = Object.values(sources).map(source => ({
+        ...source,
+        score: computeScore(source.counts, source.category).score
+    }));
+
+    // Cada fuente puede tener su propia penalización: la nota global suma los netos
+    const net = breakdown.reduce((sum, source) => sum + computeScore(source.counts, source.category).net, 0);
+    const score = {
+        formula: null,
+        net,
+        score: computeCombinedScore(breakdown)
+    };
+
+    // Cada ejercicio tocado queda como un intento parcial en el historial y el progreso.
+    // Las estadísticas globales no cambian: solo reflejan la última hoja corregida de cada ejercicio
+    const seconds = state.stopwatch.seconds;
+    breakdown.forEach(source => {
+        const share = Object.keys(source.results).length / state.practice.items.length;
+        const grading = { counts: source.counts, results: source.results };
+        recordAttempt(source.category, source.name, grading, Math.round(seconds * share), 'practice');
+        updateReviewQueue(source.category, source.name, source.results);
+    });
+
+    state.practice.active = false;
+    state.practice.finished = true;
+    state.practice.results = { counts, score, breakdown, seconds };
+    state.correctionVisible = true;
+
+    renderAnswersPanel();
+    showPracticeResults();
+}
+
+/**
+ * Muestra el resultado de la práctica con el desglose por ejercicio
+ */
+function showPracticeResults() {
+    const { counts, score, breakdown, seconds } = state.practice.results;
+
+    document.getElementById('practiceResultsContent').innerHTML = `
+        <div class="exam-score">${score.score.toFixed(2)} <small>/ 10</small></div>
+        <p class="exam-score-detail">
+            ✅ ${counts.correct} · ❌ ${counts.incorrect} · ⬜ ${counts.blank}
+            · ⏱ ${formatExamTime(seconds)}
+        </p>
+        <table class="exam-results-table">
+            <thead><tr><th>Ejercicio</th><th>✅</th><th>❌</th><th>⬜</th><th>Nota</th></tr></thead>
+            <tbody>
+                ${breakdown.map(source => `
+                    <tr>
+                        <td>${escapeHTML(source.name)}<br><small>${categoryIcons[source.category] || '📁'} ${escapeHTML(source.category)}</small></td>
+                        <td>${source.counts.correct}</td>
+                        <td>${source.counts.incorrect}</td>
+                        <td>${source.counts.blank}</td>
+                        <td>${source.score.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('practiceResultsModal').classList.remove('hidden');
+}
+
+function closePracticeResults() {
+    document.getElementById('practiceResultsModal').classList.add('hidden');
+}
+
+/**
+ * Sale de la práctica aleatoria
+ */
+function endPractice() {
+    Object.assign(state.practice, {
+        active: false,
+        finished: false,
+        items: [],
+        index: 0,
+        answers: {},
+        results: null
+    });
+    document.body.classList.remove('practice-active');
+}
+
 // ==========================================
 // QUICK NOTES PANEL FUNCTIONS (New Enhanced Version)
 // ==========================================
@@ -2083,12 +7700,7 @@ function clearNotesCanvas() {
 function saveNotesDrawing() {
     if (!quickNotesState.canvas) return;
 
-    try {
-        const drawingData = quickNotesState.canvas.toDataURL();
-        localStorage.setItem('psicotrain_quick_notes_drawing', drawingData);
-    } catch (e) {
-        console.warn('Error guardando dibujo de notas');
-    }
+    storageSet('quick_notes_drawing', quickNotesState.canvas.toDataURL());
 }
 
 /**
@@ -2098,7 +7710,7 @@ function restoreNotesDrawing() {
     if (!quickNotesState.canvas || !quickNotesState.ctx) return;
 
     try {
-        const saved = localStorage.getItem('psicotrain_quick_notes_drawing');
+        const saved = storageGet('quick_notes_drawing');
         if (saved) {
             const img = new Image();
             img.onload = () => {
@@ -2117,7 +7729,7 @@ function restoreNotesDrawing() {
 function saveQuickNotesContent() {
     const textarea = document.getElementById('quickNotesTextarea');
     if (textarea) {
-        localStorage.setItem('psicotrain_quick_notes_text', textarea.value);
+        storageSet('quick_notes_text', textarea.value);
     }
     saveNotesDrawing();
     saveNotesPanelSizeAndPosition();
@@ -2129,7 +7741,7 @@ function saveQuickNotesContent() {
 function loadQuickNotesContent() {
     const textarea = document.getElementById('quickNotesTextarea');
     if (textarea) {
-        const saved = localStorage.getItem('psicotrain_quick_notes_text');
+        const saved = storageGet('quick_notes_text');
         textarea.value = saved || '';
 
         // Auto-save cuando el usuario escribe
@@ -2264,7 +7876,7 @@ function saveNotesPanelSizeAndPosition() {
             top: panel.offsetTop
         };
 
-        localStorage.setItem('psicotrain_notes_panel_state', JSON.stringify(state));
+        storageSet('notes_panel_state', state);
     }
 }
 
@@ -2284,9 +7896,9 @@ function restoreNotesPanelSizeAndPosition() {
     };
 
     try {
-        const saved = localStorage.getItem('psicotrain_notes_panel_state');
+        const saved = storageGet('notes_panel_state');
         if (saved) {
-            const state = JSON.parse(saved);
+            const state = saved;
             // Solo aplicar si las dimensiones son válidas (mayores que 0)
             if (state.width > 0 && state.height > 0) {
                 panel.style.width = state.width + 'px';
@@ -0,0 +1,133 @@
+// PsicoTrain - Renderizado de páginas PDF fuera del hilo principal
+//
+// Con pdfjsWorker ya definido, PDF.js no crea otro worker: analiza y dibuja el PDF
+// aquí mismo ("fake worker"), sobre un OffscreenCanvas. Lo usa renderPDFPageImage()
+// en app.js; si este worker falla, la app vuelve a renderizar en el hilo principal.
+//
+// Mensajes desde la app:
+//   {type: 'open', docId, data}                         data: ArrayBuffer del PDF
+//   {type: 'render', id, docId, pageNum, scale, pageScale, maxPixels}
+//   {type: 'cancel', id}
+//   {type: 'close', docId}
+// Respuestas:
+//   {type: 'rendered', id, blob, width, height,         width/height a pageScale,
+//    pixelWidth, pixelHeight}                           pixelWidth/pixelHeight de la imagen
+//   {type: 'render-error', id, name, message}
+// (pdf.worker.min.js también envía su propio mensaje 'ready', que la app ignora)
+
+importScripts('vendor/pdfjs/pdf.min.js', 'vendor/pdfjs/pdf.worker.min.js');
+
+const documents = new Map();   // docId -> Promise<PDFDocumentProxy>
+const renderTasks = new Map(); // id -> {task, cancelled}
+
+// Canvas auxiliares de PDF.js (patrones, máscaras): aquí no hay DOM
+const canvasFactory = {
+    create(width, height) {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    },
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    },
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+};
+
+// Los filtros SVG (funciones de transferencia) necesitan document: se ignoran
+const filterFactory = {
+    addFilter: () => 'none',
+    addHCMFilter: () => 'none',
+    addHighlightHCMFilter: () => 'none',
+    destroy() {}
+};
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+
+    if (message.type === 'open') {
+        documents.set(message.docId, pdfjsLib.getDocument({
+            data: message.data,
+            canvasFactory,
+            filterFactory,
+            // Sin document no se pueden registrar fuentes: los glifos se dibujan como trazos
+            disableFontFace: true,
+            verbosity: pdfjsLib.VerbosityLevel.ERRORS
+        }).promise);
+    } else if (message.type === 'render') {
+        renderPage(message);
+    } else if (message.type === 'cancel') {
+        const render = renderTasks.get(message.id);
+        if (render) {
+            render.cancelled = true;
+            if (render.task) render.task.cancel();
+        }
+    } else if (message.type === 'close') {
+        const loading = documents.get(message.docId);
+        documents.delete(message.docId);
+        if (loading) loading.then(pdf => pdf.destroy()).catch(() => {});
+    }
+});
+
+async function renderPage({ id, docId, pageNum, scale, pageScale, maxPixels }) {
+    const render = { task: null, cancelled: false };
+    renderTasks.set(id, render);
+    let canvas = null;
+
+    try {
+        const loading = documents.get(docId);
+        if (!loading) throw new Error(`PDF no abierto: ${docId}`);
+
+        const page = await (await loading).getPage(pageNum);
+        if (render.cancelled) throw cancelledError();
+
+        const viewport = page.getViewport({ scale: clampScale(page, scale, maxPixels) });
+        const pageSize = page.getViewport({ scale: pageScale });
+
+        canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        render.task = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport
+        });
+        await render.task.promise;
+        // Libera las imágenes y listas de operaciones de la página (se aplaza si hay otro renderizado)
+        page.cleanup();
+
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        self.postMessage({
+            type: 'rendered',
+            id,
+            blob,
+            width: Math.round(pageSize.width),
+            height: Math.round(pageSize.height),
+            pixelWidth: canvas.width,
+            pixelHeight: canvas.height
+        });
+    } catch (error) {
+        self.postMessage({ type: 'render-error', id, name: error.name, message: error.message });
+    } finally {
+        renderTasks.delete(id);
+        if (canvas) {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+}
+
+/**
+ * Reduce la escala si el canvas superaría el máximo de píxeles (límite de Safari en iPad)
+ */
+function clampScale(page, scale, maxPixels) {
+    const base = page.getViewport({ scale: 1 });
+    return Math.min(scale, Math.sqrt(maxPixels / (base.width * base.height)));
+}
+
+function cancelledError() {
+    const error = new Error('Renderizado cancelado');
+    error.name = 'RenderingCancelledException';
+    return error;
+}
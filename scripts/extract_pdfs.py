@@ -150,21 +150,21 @@ def create_database(exercises):
     # Crear archivo de respuestas vacío para que el usuario lo complete
     answers_path = DATA_DIR / "answers.json"
     
-    # Crear estructura de respuestas vacía
-    answers = {}
+    # Estructura de respuestas por pregunta (formato version 2):
+    #   "1": {"answers": ["A"], "page": 3, "annulled": false, "explanation": ""}
+    # Las preguntas se numeran por ejercicio, igual que en el panel de respuestas
+    answers = {"version": 2, "categories": {}}
     for category, exs in exercises.items():
-        answers[category] = {}
+        answers["categories"][category] = {}
         for ex in exs:
-            # Crear entradas vacías para cada página extraída
-            answers[category][ex["name"]] = {
-                str(p["number"]): "" for p in ex["pages"]
-            }
+            answers["categories"][category][ex["name"]] = {}
     
     with open(answers_path, "w", encoding="utf-8") as f:
         json.dump(answers, f, ensure_ascii=False, indent=2)
     
     print(f"📝 Archivo de respuestas creado en: {answers_path}")
     print("   ⚠️  Por favor, rellena las respuestas correctas en este archivo")
+    print('      Ejemplo: "1": {"answers": ["B"], "page": 2, "explanation": "..."}')
 
 def main():
     print("=" * 60)
@@ -0,0 +1,76 @@
+#!/usr/bin/env python3
+"""
+Marca sw.js con una versión nueva antes de publicar PsicoTrain App.
+Al cambiar APP_VERSION el service worker crea una caché nueva y la app
+muestra el aviso de "nueva versión disponible".
+
+    python3 scripts/stamp_version.py          # marcar (hacer commit del cambio y publicar)
+    python3 scripts/stamp_version.py --check  # falla si hay cambios publicables sin marcar
+"""
+import re
+import subprocess
+import sys
+from datetime import datetime
+from pathlib import Path
+
+APP_DIR = Path(__file__).parent.parent
+SW_PATH = APP_DIR / "sw.js"
+VERSION_RE = re.compile(r"^const APP_VERSION = '([^']*)';", re.MULTILINE)
+
+# Lo que sirve el service worker desde su caché: si cambia, hace falta versión nueva
+PUBLISHED_PATHS = ["index.html", "app.js", "styles.css", "sw.js", "pdf-render-worker.js",
+                   "manifest.json", "icons", "vendor", "fonts"]
+
+def git(*args):
+    return subprocess.run(["git", *args], cwd=APP_DIR, capture_output=True, text=True, check=True).stdout
+
+def build_version():
+    """Fecha y hora de la publicación, más el commit actual si hay git"""
+    version = datetime.now().strftime("%Y.%m.%d-%H%M")
+    try:
+        version += "-" + git("rev-parse", "--short", "HEAD").strip()
+    except (OSError, subprocess.CalledProcessError):
+        pass
+    return version
+
+def changed_since(commit):
+    """Cambios en lo publicado desde `commit`, sin contar la propia línea de APP_VERSION"""
+    diff = git("diff", commit, "--", *PUBLISHED_PATHS)
+    for line in diff.splitlines():
+        if line.startswith(("+++", "---")) or not line.startswith(("+", "-")):
+            continue
+        if not VERSION_RE.match(line[1:]):
+            return True
+    return False
+
+def check(version):
+    commit = version.rsplit("-", 1)[-1]
+    try:
+        git("rev-parse", "--verify", "--quiet", f"{commit}^{{commit}}")
+        changed = changed_since(commit)
+    except (OSError, subprocess.CalledProcessError):
+        print(f"❌ APP_VERSION '{version}' no apunta a un commit de este repositorio")
+        sys.exit(1)
+
+    if changed:
+        print(f"❌ Hay cambios desde la versión {version}: ejecuta scripts/stamp_version.py")
+        sys.exit(1)
+    print(f"✅ sw.js está marcado con la versión actual ({version})")
+
+def main():
+    source = SW_PATH.read_text(encoding="utf-8")
+    match = VERSION_RE.search(source)
+    if not match:
+        print(f"❌ No se encontró APP_VERSION en {SW_PATH}")
+        sys.exit(1)
+
+    if "--check" in sys.argv[1:]:
+        check(match.group(1))
+        return
+
+    version = build_version()
+    SW_PATH.write_text(VERSION_RE.sub(f"const APP_VERSION = '{version}';", source), encoding="utf-8")
+    print(f"✅ sw.js marcado con la versión {version}")
+
+if __name__ == "__main__":
+    main()
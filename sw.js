@@ -1,32 +1,54 @@
-const CACHE_NAME = 'psicotrain-v2';
+// Versión de la app: la actualiza scripts/stamp_version.py en cada publicación (ver README.md).
+// Cambiarla crea una caché nueva y hace que las ventanas abiertas ofrezcan actualizar.
+const APP_VERSION = '2026.10.18-2239-8ff68c5';
+const CACHE_NAME = `psicotrain-${APP_VERSION}`;
+
+// Imágenes de los ejercicios: caché propia que sobrevive a las actualizaciones de la app
+const IMAGES_CACHE = 'psicotrain-images';
+
+// Descargas simultáneas al preparar una categoría para usar sin conexión
+const OFFLINE_CONCURRENCY = 4;
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles.css',
     '/app.js',
+    '/pdf-render-worker.js',
     '/manifest.json',
     '/icons/icon-192.png',
     '/icons/icon-512.png',
     '/data/exercises.json',
     '/data/answers.json',
-    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
-    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
-    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap'
+    '/vendor/pdfjs/pdf.min.js',
+    '/vendor/pdfjs/pdf.worker.min.js',
+    '/fonts/inter/inter-latin-300-normal.woff2',
+    '/fonts/inter/inter-latin-400-normal.woff2',
+    '/fonts/inter/inter-latin-500-normal.woff2',
+    '/fonts/inter/inter-latin-600-normal.woff2',
+    '/fonts/inter/inter-latin-700-normal.woff2',
+    '/fonts/inter/inter-latin-800-normal.woff2'
 ];
 
 // Instalación del Service Worker
+// No se activa solo: espera a que el usuario acepte la actualización (mensaje 'skip-waiting')
+// para que una pestaña nunca mezcle código de dos versiones
 self.addEventListener('install', event => {
-    // Forzar la activación del nuevo SW inmediatamente
-    self.skipWaiting();
-
+    // Cada recurso por separado: si falla uno (p. ej. data/ aún sin generar) el resto
+    // se guarda igualmente y se pedirá a la red cuando haga falta
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then(cache => {
                 console.log('Cache abierta:', CACHE_NAME);
-                return cache.addAll(urlsToCache);
+                // cache: 'reload' salta la caché HTTP del navegador: la versión nueva
+                // nunca se queda con un app.js o styles.css de la anterior
+                return Promise.allSettled(urlsToCache.map(url => cache.add(new Request(url, { cache: 'reload' }))));
             })
-            .catch(err => {
-                console.error('Error en cache install:', err);
+            .then(results => {
+                results.forEach((result, i) => {
+                    if (result.status === 'rejected') {
+                        console.warn('No se pudo precachear:', urlsToCache[i], result.reason);
+                    }
+                });
             })
     );
 });
@@ -37,7 +59,7 @@ self.addEventListener('activate', event => {
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName !== CACHE_NAME && cacheName !== IMAGES_CACHE) {
                         console.log('Borrando cache antigua:', cacheName);
                         return caches.delete(cacheName);
                     }
@@ -47,27 +69,260 @@ self.addEventListener('activate', event => {
     );
 });
 
-// Fetch Strategy: Stale-While-Revalidate (preferido para PWAs)
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// Fetch Strategy:
+//   - Imágenes de ejercicios: cache-first (caché propia)
+//   - Datos JSON: network-first, para ver enseguida respuestas y ejercicios nuevos
+//   - Resto (app shell): cache-first desde la caché de esta versión
 self.addEventListener('fetch', event => {
     // Solo manejar peticiones GET
     if (event.request.method !== 'GET') return;
 
+    // Imágenes de ejercicios: primero la caché de descargas sin conexión
+    if (isExerciseImage(event.request.url)) {
+        event.respondWith(
+            caches.open(IMAGES_CACHE).then(cache => {
+                return cache.match(event.request).then(cachedResponse => {
+                    if (cachedResponse) return cachedResponse;
+                    return fetch(event.request).then(networkResponse => {
+                        if (networkResponse && networkResponse.status === 200) {
+                            cache.put(event.request, networkResponse.clone());
+                        }
+                        return networkResponse;
+                    });
+                });
+            })
+        );
+        return;
+    }
+
+    if (isDataFile(event.request.url)) {
+        event.respondWith(
+            caches.open(CACHE_NAME).then(cache => {
+                return fetch(event.request).then(networkResponse => {
+                    if (networkResponse && networkResponse.status === 200) {
+                        cache.put(event.request, networkResponse.clone());
+                    }
+                    return networkResponse;
+                }).catch(() => cache.match(event.request));
+            })
+        );
+        return;
+    }
+
     event.respondWith(
         caches.open(CACHE_NAME).then(cache => {
             return cache.match(event.request).then(cachedResponse => {
-                const fetchedResponse = fetch(event.request).then(networkResponse => {
-                    // Si la respuesta es válida, la guardamos/actualizamos en cache
+                if (cachedResponse) return cachedResponse;
+                return fetch(event.request).then(networkResponse => {
+                    // Guardar lo que no estaba precacheado (p. ej. fuentes) en la caché de esta versión
                     if (networkResponse && networkResponse.status === 200) {
                         cache.put(event.request, networkResponse.clone());
                     }
                     return networkResponse;
-                }).catch(() => {
-                    // Si falla la red, el match inicial ya nos da lo que hay en cache
-                    // Si no hay nada en cache, aquí se podría devolver una página fallback
                 });
-
-                return cachedResponse || fetchedResponse;
             });
         })
     );
 });
+
+function isDataFile(url) {
+    const { origin, pathname } = new URL(url);
+    return origin === self.location.origin && pathname.includes('/data/') && pathname.endsWith('.json');
+}
+
+// ==========================================
+// DESCARGAS SIN CONEXIÓN
+// ==========================================
+//
+// Mensajes desde la app:
+//   {type: 'offline-status'}                  -> responde 'offline-status'
+//   {type: 'offline-download', category?}     -> sin categoría descarga todas
+//   {type: 'offline-evict', category}
+// Respuestas a todas las ventanas:
+//   {type: 'offline-status', categories: {cat: {cached, total}}, downloading}
+//   {type: 'offline-progress', category, done, total}
+//   {type: 'offline-complete', category, failed}
+//   {type: 'offline-error', message}
+
+// Descarga en curso (una a la vez); lo que se pide mientras tanto espera en la cola
+let offlineDownload = null;
+let downloadingCategory = null;
+const offlineQueue = []; // Categorías pendientes ('*' = todas)
+
+self.addEventListener('message', event => {
+    const { type, category } = event.data || {};
+
+    if (type === 'offline-status') {
+        event.waitUntil(postOfflineStatus());
+    } else if (type === 'offline-download') {
+        event.waitUntil(downloadCategories(category ? [category] : null));
+    } else if (type === 'offline-evict') {
+        event.waitUntil(evictCategory(category));
+    }
+});
+
+function isExerciseImage(url) {
+    const { origin, pathname } = new URL(url);
+    return origin === self.location.origin && pathname.includes('/images/');
+}
+
+async function postToClients(message) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage(message));
+}
+
+/**
+ * URLs de las imágenes de cada categoría según exercises.json (de la red o de la caché)
+ */
+async function getImagesByCategory() {
+    const request = new Request(new URL('data/exercises.json', self.registration.scope).href);
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (err) {
+        response = await caches.match(request);
+    }
+    if (!response || !response.ok) throw new Error('No se pudo leer exercises.json');
+
+    const exercises = await response.json();
+    const byCategory = {};
+    Object.entries(exercises).forEach(([category, list]) => {
+        byCategory[category] = list.flatMap(exercise => (exercise.pages || [])
+            .map(page => new URL(page.path, self.registration.scope).href));
+    });
+    return byCategory;
+}
+
+async function getCachedImageUrls() {
+    const cache = await caches.open(IMAGES_CACHE);
+    const requests = await cache.keys();
+    return new Set(requests.map(request => request.url));
+}
+
+/**
+ * Envía cuántas imágenes de cada categoría están ya guardadas
+ */
+async function postOfflineStatus() {
+    try {
+        const byCategory = await getImagesByCategory();
+        const cached = await getCachedImageUrls();
+        const categories = {};
+        Object.entries(byCategory).forEach(([category, urls]) => {
+            categories[category] = {
+                cached: urls.filter(url => cached.has(url)).length,
+                total: urls.length
+            };
+        });
+        await postToClients({ type: 'offline-status', categories, downloading: downloadingCategory });
+    } catch (err) {
+        await postToClients({ type: 'offline-error', message: err.message });
+    }
+}
+
+/**
+ * Añade a la cola las categorías indicadas (o todas) y descarga las imágenes que faltan
+ */
+function downloadCategories(categories) {
+    (categories || ['*']).forEach(category => {
+        if (category !== downloadingCategory && !offlineQueue.includes(category)) {
+            offlineQueue.push(category);
+        }
+    });
+
+    if (!offlineDownload) {
+        offlineDownload = runOfflineDownload().finally(() => {
+            offlineDownload = null;
+            downloadingCategory = null;
+        });
+    }
+    return offlineDownload;
+}
+
+async function runOfflineDownload() {
+    do {
+        await downloadQueuedCategories();
+        downloadingCategory = null;
+        await postOfflineStatus();
+        // Categorías pedidas mientras se enviaba el estado
+    } while (offlineQueue.length > 0);
+}
+
+async function downloadQueuedCategories() {
+    try {
+        const byCategory = await getImagesByCategory();
+        const cache = await caches.open(IMAGES_CACHE);
+
+        while (offlineQueue.length > 0) {
+            const category = offlineQueue.shift();
+            if (category === '*') {
+                Object.keys(byCategory).forEach(name => {
+                    if (!offlineQueue.includes(name)) offlineQueue.push(name);
+                });
+                continue;
+            }
+
+            const cached = await getCachedImageUrls();
+            const urls = byCategory[category] || [];
+            const pending = urls.filter(url => !cached.has(url));
+            const total = urls.length;
+            let done = total - pending.length;
+            let failed = 0;
+
+            downloadingCategory = category;
+            await postToClients({ type: 'offline-progress', category, done, total });
+
+            const worker = async () => {
+                while (pending.length > 0) {
+                    const url = pending.shift();
+                    try {
+                        const response = await fetch(url);
+                        if (response.ok) {
+                            await cache.put(url, response);
+                        } else {
+                            failed++;
+                        }
+                    } catch (err) {
+                        // Sin espacio no tiene sentido seguir
+                        if (err.name === 'QuotaExceededError') {
+                            pending.length = 0;
+                            throw err;
+                        }
+                        failed++;
+                    }
+                    done++;
+                    await postToClients({ type: 'offline-progress', category, done, total });
+                }
+            };
+            await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+
+            await postToClients({ type: 'offline-complete', category, failed });
+        }
+    } catch (err) {
+        // Sin espacio (o sin exercises.json) tampoco se podrá con lo que queda en la cola
+        offlineQueue.length = 0;
+        const message = err.name === 'QuotaExceededError'
+            ? 'No queda espacio para más imágenes'
+            : err.message;
+        await postToClients({ type: 'offline-error', message });
+    }
+}
+
+/**
+ * Borra de la caché las imágenes de una categoría
+ */
+async function evictCategory(category) {
+    try {
+        const byCategory = await getImagesByCategory();
+        const cache = await caches.open(IMAGES_CACHE);
+        await Promise.all((byCategory[category] || []).map(url => cache.delete(url)));
+    } catch (err) {
+        await postToClients({ type: 'offline-error', message: err.message });
+    }
+    await postOfflineStatus();
+}